@@ -0,0 +1,108 @@
+/**
+ * API error classification: turns failed fal queue responses into typed errors the app can react to.
+ */
+
+class FalAIApiError extends Error {
+    constructor(message, { kind = 'http', status = null, detail = null, retryAfter = null, body = '' } = {}) {
+        super(message);
+        this.name = 'FalAIApiError';
+        this.kind = kind;
+        this.status = status;
+        this.detail = detail;
+        this.retryAfter = retryAfter;
+        this.body = body;
+    }
+
+    // Map an HTTP status to an error kind
+    static classify(status) {
+        if (status === 401 || status === 403) return 'auth';
+        if (status === 413) return 'payload-too-large';
+        if (status === 422) return 'validation';
+        if (status === 429 || status === 502 || status === 503 || status === 504) return 'transient';
+        if (status === 404 || status === 405) return 'not-found';
+        return 'http';
+    }
+
+    static async fromResponse(response) {
+        const body = await response.text().catch(() => '');
+        const kind = FalAIApiError.classify(response.status);
+
+        let detail = null;
+        try {
+            detail = JSON.parse(body).detail ?? null;
+        } catch (e) {
+            // Not JSON (proxy error pages and the like)
+        }
+
+        const message = FalAIApiError.describe(kind, response.status, detail, body);
+        return new FalAIApiError(message, {
+            kind,
+            status: response.status,
+            detail,
+            retryAfter: FalAIApiError.parseRetryAfter(response.headers.get('Retry-After')),
+            body
+        });
+    }
+
+    // fetch() rejects with a TypeError when the connection drops or is refused
+    static fromNetworkError(error) {
+        return new FalAIApiError(`Network error: ${error.message}`, { kind: 'network' });
+    }
+
+    static describe(kind, status, detail, body) {
+        switch (kind) {
+            case 'auth':
+                return `API key was rejected (HTTP ${status}). Check your fal.ai key.`;
+            case 'payload-too-large':
+                return 'Request is too large (HTTP 413). Lower the image compression size or upload fewer/smaller images.';
+            case 'validation': {
+                const count = Array.isArray(detail) ? detail.length : 0;
+                const first = count > 0 ? detail[0].msg : (typeof detail === 'string' ? detail : body);
+                return count > 1
+                    ? `Invalid parameters: ${first} (+${count - 1} more)`
+                    : `Invalid parameters: ${first}`;
+            }
+            case 'transient':
+                return status === 429
+                    ? 'Rate limited by fal.ai (HTTP 429)'
+                    : `fal.ai is temporarily unavailable (HTTP ${status})`;
+            default: {
+                const text = typeof detail === 'string' ? detail : body;
+                return `HTTP ${status}: ${text}`;
+            }
+        }
+    }
+
+    // Retry-After may be seconds or an HTTP date; returns milliseconds
+    static parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    get isRetryable() {
+        return this.kind === 'transient' || this.kind === 'network';
+    }
+
+    // For requests that must not run twice (a paid submit): only answers that say the request was turned
+    // away before it was accepted. A dropped connection or a 502/504 may come after fal already queued it
+    get isSafeToResubmit() {
+        return this.status === 429 || (this.status === 503 && this.retryAfter !== null);
+    }
+
+    // Exponential backoff with full jitter, never shorter than the server's Retry-After
+    static getRetryDelay(attempt, error = null, baseDelay = 1000, maxDelay = 30000) {
+        const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+        const delay = Math.random() * ceiling;
+        return Math.max(delay, error?.retryAfter || 0);
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIApiError;
+}
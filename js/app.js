@@ -1,28 +1,24 @@
 class FalAI {
-    constructor() {
-        this.apiKey = localStorage.getItem('falai_api_key') || sessionStorage.getItem('falai_api_key') || '';
+    constructor(storage) {
+        // IndexedDB-backed storage, already loaded (see FalAIStorage.init)
+        this.storage = storage;
+        this.storage.onError = (error) => {
+            const full = error?.name === 'QuotaExceededError';
+            this.showToast(full ? 'Storage Full' : 'Storage Error',
+                full ? 'Browser storage is full. Please clear some saved images.' : `Could not save: ${error?.message || error}`,
+                'error');
+        };
+        if (this.storage.memoryOnly) {
+            this.showToast('Storage Error', 'Saved settings and images could not be loaded; changes made now will not be kept.', 'error');
+        }
+
+        this.apiKey = this.storage.getItem('falai_api_key') || '';
         this.endpoints = new Map();
         this.currentEndpoint = null;
-        this.currentRequestId = null;
-        this.statusPolling = null;
 
-        // Try to load settings from both storages and merge/pick best
-        const localSettings = JSON.parse(localStorage.getItem('falai_endpoint_settings') || '{}');
-        const sessionSettings = JSON.parse(sessionStorage.getItem('falai_endpoint_settings') || '{}');
+        this.endpointSettings = JSON.parse(this.storage.getItem('falai_endpoint_settings') || '{}');
 
-        // If session has data but local doesn't (or is smaller/older?), prefer session
-        // Since we don't have timestamps, we'll prefer session if it has more keys or if local is empty
-        const localKeys = Object.keys(localSettings).length;
-        const sessionKeys = Object.keys(sessionSettings).length;
-
-        if (sessionKeys > 0 && (localKeys === 0 || this.isStorageBlocked())) {
-            this.endpointSettings = sessionSettings;
-            console.log('🔧 Loaded settings from SessionStorage (fallback)');
-        } else {
-            this.endpointSettings = localSettings;
-        }
-
-        this.debugMode = (localStorage.getItem('falai_debug_mode') || sessionStorage.getItem('falai_debug_mode')) === 'true';
+        this.debugMode = this.storage.getItem('falai_debug_mode') === 'true';
 
         if (this.debugMode) {
             console.log('🔧 Initialized with settings:', this.endpointSettings);
@@ -30,6 +26,28 @@ class FalAI {
 
         // Persistent generation state
         this.isGenerating = false;
+        // Startup default from falai_last_endpoint, which resumed jobs may replace
+        this.restoredEndpointId = null;
+        // Set while checkIncompleteGeneration() rebuilds jobs, so finishing them does not save each time
+        this.resumingJobs = false;
+
+        // Concurrent queue jobs (each with its own polling and status entry)
+        this.jobManager = new FalAIJobManager(this);
+        this.batch = new FalAIBatchManager(this);
+        this.promptList = new FalAIPromptList(this);
+        this.promptTemplate = new FalAIPromptTemplate(this);
+        this.promptHistory = new FalAIPromptHistory(this);
+        this.presets = new FalAIPresetManager(this);
+        this.deepLink = new FalAIDeepLink(this);
+        this.pricing = new FalAIPricing(this);
+        this.keyVault = new FalAIKeyVault(this);
+        this.keyProfiles = new FalAIKeyProfiles(this);
+        this.proxy = new FalAIProxy(this);
+        this.storageUpload = new FalAIStorageUpload(this);
+        this.imageCache = new FalAIImageCache(this);
+        this.thumbnails = new FalAIThumbnails(this);
+        this.galleryFilter = new FalAIGalleryFilter(this);
+        this.galleryCollections = new FalAIGalleryCollections(this);
 
         // Initialize gallery (deferred to unblock main thread)
         setTimeout(() => {
@@ -39,16 +57,6 @@ class FalAI {
         this.init();
     }
 
-    isStorageBlocked() {
-        try {
-            localStorage.setItem('test_storage', '1');
-            localStorage.removeItem('test_storage');
-            return false;
-        } catch (e) {
-            return true;
-        }
-    }
-
     // Extract the input (request body) schema from an endpoint OpenAPI schema
     getInputSchema(openApiSchema) {
         if (!openApiSchema) return null;
@@ -120,6 +128,9 @@ class FalAI {
         this.initDebugMode();
         this.initTheme();
 
+        // Browser quota for IndexedDB; getStorageLimit's fixed localStorage sizes only apply to the fallback
+        this.storageEstimate = await this.storage.estimate();
+
         // Log storage info on startup if debug mode is enabled
         if (this.debugMode) {
             this.logStorageInfo();
@@ -131,8 +142,16 @@ class FalAI {
             }
         }
 
-        // Check for incomplete generation on startup
-        this.checkIncompleteGeneration();
+        // Open a shared setup if the page was loaded from a link
+        await this.deepLink.applyFromLocation();
+
+        // Check for incomplete generation on startup; resuming needs the keys, so wait for an unlock
+        if (this.keyVault.isLocked() && this.loadPendingJobs().length > 0) {
+            this.keyVault.whenUnlocked(() => this.checkIncompleteGeneration());
+            this.keyVault.requestUnlock();
+        } else {
+            this.checkIncompleteGeneration();
+        }
 
         // Make storage functions available globally for debugging
         window.falaiStorage = {
@@ -155,19 +174,17 @@ class FalAI {
             },
             clear: () => {
                 this.gallery.savedImages = [];
-                localStorage.setItem('falai_saved_images', '[]');
+                this.gallery.saveImages();
                 console.log('Gallery cleared');
                 this.logStorageInfo();
             },
             findLargest: () => {
-                console.log('[SEARCH] Finding largest localStorage entries...');
+                console.log('[SEARCH] Finding largest stored settings...');
                 const entries = [];
-                for (let key in localStorage) {
-                    if (localStorage.hasOwnProperty(key)) {
-                        const value = localStorage.getItem(key);
-                        const size = new Blob([value]).size;
-                        entries.push({ key, size, preview: value.substring(0, 100) + (value.length > 100 ? '...' : '') });
-                    }
+                for (const key of this.storage.keys()) {
+                    const value = this.storage.getItem(key);
+                    const size = new Blob([value]).size;
+                    entries.push({ key, size, preview: value.substring(0, 100) + (value.length > 100 ? '...' : '') });
                 }
                 entries.sort((a, b) => b.size - a.size);
                 entries.slice(0, 10).forEach((entry, i) => {
@@ -313,10 +330,11 @@ class FalAI {
             this.updateDeleteButtonVisibility(previouslySelected);
         } else if (!this.currentEndpointId) {
             // Initial load - auto-select last used endpoint
-            const lastEndpoint = localStorage.getItem('falai_last_endpoint');
+            const lastEndpoint = this.storage.getItem('falai_last_endpoint');
             if (lastEndpoint && this.endpoints.has(lastEndpoint)) {
                 dropdown.value = lastEndpoint;
                 this.selectEndpoint(lastEndpoint);
+                this.restoredEndpointId = lastEndpoint;
                 this.updateDeleteButtonVisibility(lastEndpoint);
             }
         }
@@ -341,6 +359,7 @@ class FalAI {
 
         this.showEndpointInfo();
         this.generateForm();
+        this.presets.reset();
         this.hideResults();
     }
 
@@ -351,6 +370,7 @@ class FalAI {
         // Hide endpoint info and form
         document.getElementById('endpoint-info').classList.add('hidden');
         document.getElementById('api-form').classList.add('hidden');
+        this.presets.reset();
 
         this.hideResults();
     }
@@ -443,6 +463,7 @@ class FalAI {
 
         // Restore saved settings for this endpoint
         this.restoreEndpointSettings(endpoint.metadata.endpointId);
+        this.pricing.scheduleEstimate();
 
         document.getElementById('api-form').classList.remove('hidden');
     }
@@ -527,7 +548,7 @@ class FalAI {
 
         // Ensure advanced options are visible if they contain required fields that are empty
         // or if the user has previously expanded them
-        const savedAdvancedVisible = localStorage.getItem('falai_advanced_visible') === 'true';
+        const savedAdvancedVisible = this.storage.getItem('falai_advanced_visible') === 'true';
         if (savedAdvancedVisible) {
             advancedContent.classList.add('visible');
             toggle.innerHTML = '<i class="ph ph-caret-up"></i> Advanced Options';
@@ -538,10 +559,11 @@ class FalAI {
             toggle.innerHTML = isVisible
                 ? '<i class="ph ph-caret-up"></i> Advanced Options'
                 : '<i class="ph ph-caret-down"></i> Advanced Options';
-            localStorage.setItem('falai_advanced_visible', isVisible);
+            this.storage.setItem('falai_advanced_visible', isVisible);
         });
 
         container.appendChild(mainFields);
+        container.appendChild(this.batch.createSweepPanel(schema));
         container.appendChild(advancedContainer);
     }
 
@@ -668,6 +690,9 @@ class FalAI {
         });
 
         promptContainer.appendChild(textarea);
+        promptContainer.appendChild(this.promptHistory.createDropdown(textarea));
+        promptContainer.appendChild(this.promptTemplate.createPanel(textarea));
+        promptContainer.appendChild(this.promptList.createPanel(textarea));
         field.appendChild(promptContainer);
 
         if (schema.description) {
@@ -698,7 +723,11 @@ class FalAI {
             <span class="generate-loading hidden">Generating...</span>
         `;
 
+        buttonContainer.appendChild(this.promptHistory.createToggleButton());
+        buttonContainer.appendChild(this.promptTemplate.createToggleButton());
+        buttonContainer.appendChild(this.promptList.createToggleButton());
         buttonContainer.appendChild(resetBtn);
+        buttonContainer.appendChild(this.pricing.createEstimateElement());
         buttonContainer.appendChild(generateBtn);
         field.appendChild(buttonContainer);
 
@@ -1208,6 +1237,8 @@ class FalAI {
             // Auto-set custom dimensions based on compressed image size
             this.autoSetImageDimensions(compressedDataURL);
 
+            // The image stays local until a generation is submitted (see prepareFormImages)
+
             if (!this.isRestoring) this.saveEndpointSettings('image_url');
 
         } catch (error) {
@@ -1246,27 +1277,12 @@ class FalAI {
             });
         });
 
-        // API Key modal
-        document.getElementById('api-key-btn').addEventListener('click', () => {
-            document.getElementById('api-key-input').value = this.apiKey;
-            document.getElementById('api-key-modal').classList.remove('hidden');
-        });
+        // API key modal and profile switchers
+        this.keyProfiles.bindEvents();
+        this.keyVault.bindEvents();
 
-        document.getElementById('save-api-key').addEventListener('click', () => {
-            const key = document.getElementById('api-key-input').value.trim();
-            if (!key) {
-                this.showToast('Warning', 'API key cannot be empty', 'warning');
-                return;
-            }
-            this.apiKey = key;
-            localStorage.setItem('falai_api_key', key);
-            document.getElementById('api-key-modal').classList.add('hidden');
-            this.showToast('Success', 'API key saved successfully!', 'success');
-        });
-
-        document.getElementById('cancel-api-key').addEventListener('click', () => {
-            document.getElementById('api-key-modal').classList.add('hidden');
-        });
+        // Proxy base URL for queue requests
+        this.proxy.bindEvents();
 
 
         // Panel tabs are now handled by the gallery class
@@ -1278,13 +1294,25 @@ class FalAI {
                 this.selectEndpoint(endpointId);
                 this.updateDeleteButtonVisibility(endpointId);
                 // Save last selected endpoint
-                localStorage.setItem('falai_last_endpoint', endpointId);
+                this.storage.setItem('falai_last_endpoint', endpointId);
             } else {
                 this.clearEndpointSelection();
                 this.updateDeleteButtonVisibility(null);
             }
         });
 
+        // Named presets next to the endpoint dropdown
+        this.presets.bindEvents();
+
+        // Shareable link to the current endpoint and parameters
+        document.getElementById('copy-link-btn').addEventListener('click', () => {
+            this.deepLink.copyCurrentForm();
+        });
+        this.deepLink.bindEvents();
+
+        // Cost estimate, pricing table and spend dashboard
+        this.pricing.bindEvents();
+
         // Delete endpoint button
         const deleteBtn = document.getElementById('delete-endpoint-btn');
         if (deleteBtn) {
@@ -1312,15 +1340,10 @@ class FalAI {
             this.generateImage();
         });
 
-        // Cancel generation
-        document.getElementById('cancel-btn').addEventListener('click', () => {
-            this.cancelGeneration();
-        });
-
         // Debug mode toggle
         document.getElementById('debug-checkbox').addEventListener('change', (e) => {
             this.debugMode = e.target.checked;
-            localStorage.setItem('falai_debug_mode', this.debugMode);
+            this.storage.setItem('falai_debug_mode', this.debugMode);
 
             if (this.debugMode) {
                 this.logDebug('Debug mode enabled', 'system');
@@ -1483,6 +1506,11 @@ class FalAI {
             document.getElementById('import-settings-btn').click();
         });
 
+        document.getElementById('mobile-spend-btn').addEventListener('click', () => {
+            this.closeMobileMenu();
+            document.getElementById('spend-btn').click();
+        });
+
         // Mobile gallery panel logic
         const mobileGalleryBtn = document.getElementById('mobile-gallery-btn');
         const mobileGallery = document.getElementById('mobile-gallery');
@@ -1566,31 +1594,17 @@ class FalAI {
     openMobileGallery() {
         const galleryPanel = document.getElementById('mobile-gallery');
         const overlay = document.getElementById('mobile-gallery-overlay');
-        const countEl = document.getElementById('mobile-gallery-count');
-        const content = document.getElementById('mobile-gallery-content');
 
         if (!galleryPanel || !overlay) return;
 
-        // Populate from gallery savedImages
-        if (this.gallery) {
-            const images = this.gallery.savedImages || [];
-            if (countEl) countEl.textContent = images.length + ' images';
-            if (content) {
-                content.innerHTML = '';
-                if (images.length === 0) {
-                    content.innerHTML = '<div style="grid-column:1/-1;padding:1rem;color:#6b7280;text-align:center;">No saved images yet</div>';
-                } else {
-                    images.forEach((imgData, idx) => {
-                        const item = this.gallery.createMobileGalleryItem(imgData, idx);
-                        content.appendChild(item);
-                    });
-                }
-            }
-        }
-
         overlay.classList.add('active');
         galleryPanel.classList.add('active');
         document.body.style.overflow = 'hidden';
+
+        // Populate once the panel is shown, so the grid can measure which rows are in view
+        if (this.gallery) {
+            this.gallery.updateMobileGallery();
+        }
     }
 
     closeMobileGallery() {
@@ -1783,6 +1797,13 @@ class FalAI {
         });
     }
 
+    // Everything a payload's images need before submission: fit to the target size, then upload
+    // to fal storage so the request carries URLs (images stay inline when upload is unavailable)
+    async prepareFormImages(formData) {
+        await this.compressFormImages(formData);
+        await this.storageUpload.uploadPayloadImages(formData);
+    }
+
     // Compress all images in form data to target size before API submission
     async compressFormImages(formData) {
         const targetSize = this.getTargetImageSize();
@@ -2030,22 +2051,29 @@ sendSystemNotification(title, body, type = 'info') {
         }
     }
 
-    async requestWakeLock() {
-        if ('wakeLock' in navigator) {
-            try {
-                this.wakeLock = await navigator.wakeLock.request('screen');
-                console.log('Wake Lock active');
-            } catch (err) {
-                console.warn(`Wake Lock failed: ${err.name}, ${err.message}`);
-            }
+    // Every job start asks again (a batch can drop to zero running jobs between items): a lock that is still
+    // held is kept and concurrent starts share one request. The browser releases it when the page is hidden
+    requestWakeLock() {
+        if (!('wakeLock' in navigator) || (this.wakeLock && !this.wakeLock.released)) return Promise.resolve();
+        if (!this.wakeLockRequest) {
+            this.wakeLockRequest = navigator.wakeLock.request('screen')
+                .then(wakeLock => {
+                    this.wakeLock = wakeLock;
+                    console.log('Wake Lock active');
+                })
+                .catch(err => console.warn(`Wake Lock failed: ${err.name}, ${err.message}`))
+                .finally(() => { this.wakeLockRequest = null; });
         }
+        return this.wakeLockRequest;
     }
 
     async releaseWakeLock() {
-        if (this.wakeLock) {
+        if (this.wakeLockRequest) await this.wakeLockRequest;
+        const wakeLock = this.wakeLock;
+        if (wakeLock) {
+            this.wakeLock = null;
             try {
-                await this.wakeLock.release();
-                this.wakeLock = null;
+                await wakeLock.release();
                 console.log('Wake Lock released');
             } catch (err) {
                 console.warn(`Wake Lock release failed: ${err.name}, ${err.message}`);
@@ -2054,7 +2082,15 @@ sendSystemNotification(title, body, type = 'info') {
     }
 
     async generateImage() {
-        if (!this.apiKey) {
+        // A proxy that injects the key itself needs none from the browser
+        const needsKey = !this.proxy.suppliesAuth();
+
+        // Encrypted keys are only in memory once unlocked for this session
+        if (needsKey && this.keyVault.isLocked() && !await this.keyVault.requestUnlock()) {
+            return;
+        }
+
+        if (needsKey && !this.apiKey) {
             this.showError('Please set your API key first. Click "Set API Key" in the menu.');
             return;
         }
@@ -2068,83 +2104,180 @@ sendSystemNotification(title, body, type = 'info') {
         this.requestNotificationPermission();
         this.requestWakeLock();
 
-        // Save settings before generating (ensures desktop changes are persisted)
-        this.performSaveEndpointSettings();
+        // Whichever way this ends (rejected, cancelled or a whole batch run), the lock goes once nothing is running
+        try {
+            // Save settings before generating (ensures desktop changes are persisted)
+            this.performSaveEndpointSettings();
 
-        // Collect form data
-        const formData = this.collectFormData();
+            // Prompt list rows and combinatorial mode expand templates per job themselves
+            const rawPrompt = document.getElementById('prompt')?.value || '';
+            const promptTemplate = FalAIPromptTemplate.isTemplate(rawPrompt) ? rawPrompt : null;
+            const listMode = this.promptList.isActive();
+            const combinatorial = !listMode && this.promptTemplate.isCombinatorial(rawPrompt);
 
-        // Compress all images to target size before sending to API
-        await this.compressFormImages(formData);
+            // Collect form data
+            let formData;
+            try {
+                formData = this.collectFormData({ expandPrompt: !listMode && !combinatorial });
+            } catch (error) {
+                this.showError(`Prompt template: ${error.message}`);
+                return;
+            }
 
-        // Filter out LoRAs with weight 0 before sending request
-        this.filterLoRAs(formData);
+            // Filter out LoRAs with weight 0 before sending request
+            const fieldIndexMap = this.filterLoRAs(formData);
 
-        try {
-            // Update button state
-            const generateBtn = document.querySelector('.generate-btn');
-            const generateText = generateBtn.querySelector('.generate-text');
-            const generateLoading = generateBtn.querySelector('.generate-loading');
+            // Remember the prompt as typed (template included) once its jobs go out, not for rejected or
+            // cancelled runs; list rows are not the user's prompt
+            const endpointId = this.currentEndpointId;
+            const rememberPrompt = () => this.promptHistory.record(endpointId, rawPrompt);
+
+            // Prompt list: one job per line or CSV row
+            if (listMode) {
+                await this.promptList.run(formData, fieldIndexMap);
+                return;
+            }
+
+            // Combinatorial prompt: one job per variant of the template
+            if (combinatorial) {
+                if (this.batch.hasSweep()) {
+                    this.showError('Combinatorial prompts and batch sweeps cannot be combined; clear one of them');
+                    return;
+                }
+                await this.promptTemplate.runCombinatorial(formData, fieldIndexMap, { onStart: rememberPrompt });
+                return;
+            }
+
+            // Batch sweep: one job per combination of the swept values
+            if (this.batch && this.batch.hasSweep()) {
+                await this.batch.runSweep(formData, fieldIndexMap, { onStart: rememberPrompt });
+                return;
+            }
+
+            // Check the payload against the endpoint's input schema before spending a request
+            const validationErrors = this.validatePayload(formData, this.currentEndpoint);
+            if (validationErrors.length > 0) {
+                this.highlightValidationErrors(validationErrors, fieldIndexMap);
+                const more = validationErrors.length > 1 ? ` (+${validationErrors.length - 1} more)` : '';
+                this.showError(`Invalid parameters: ${validationErrors[0].msg}${more}`);
+                return;
+            }
+            this.clearValidationErrors();
+
+            // Soft budget: only warns, and only for endpoints with a price set
+            const estimate = this.pricing.estimate(this.currentEndpointId, formData);
+            if (estimate && !this.pricing.confirmBudget(estimate.cost)) {
+                return;
+            }
 
-            generateBtn.classList.add('loading');
-            generateText.classList.add('hidden');
-            generateLoading.classList.remove('hidden');
+            // Compress and upload images before sending to API
+            await this.prepareFormImages(formData);
 
-            // Show status
-            this.showGenerationStatus('Submitting request...');
+            this.setGenerateButtonLoading(true);
+            try {
+                const job = await this.startJob(formData, { fieldIndexMap, promptTemplate });
+                if (job.status !== 'FAILED') rememberPrompt();
+            } finally {
+                this.resetGenerateButton();
+            }
+        } finally {
+            if (this.jobManager.getActiveJobs().length === 0) this.releaseWakeLock();
+        }
+    }
+
+    // Submit one prepared payload as its own job so several can run side by side.
+    // Resolves once the job is queued (not when it finishes - use job.done for that).
+    async startJob(payload, { endpointId = this.currentEndpointId, fieldIndexMap = {}, batch = null, promptTemplate = null } = {}) {
+        const endpoint = this.endpoints.get(endpointId);
+        const job = this.jobManager.createJob(endpointId, payload);
+        job.profileId = this.keyProfiles.activeId;
+        // Answered by a proxy or mock server, so not known to have been billed by fal
+        job.proxied = this.proxy.isActive();
+        job.fieldIndexMap = fieldIndexMap;
+        job.batch = batch;
+        job.promptTemplate = promptTemplate;
+        this.requestWakeLock();
+
+        try {
             this.sendSystemNotification('FalAI Generating...', 'Your request is processing...', 'progress');
 
             // Submit to queue
-            const queueResponse = await this.submitToQueue(formData);
+            const queueResponse = await this.submitToQueue(payload, endpoint, {
+                onRetry: this.retryNotifier(job, 'submit')
+            });
 
             // Check if response already contains results (synchronous response)
             if (queueResponse.images) {
                 // Direct response with results
-                this.displayResults(queueResponse);
-                this.hideGenerationStatus();
-                this.resetGenerateButton();
-                return;
+                this.displayResults(queueResponse, job);
+                this.jobManager.finishJob(job, 'COMPLETED', 'Generation completed successfully!');
+                return job;
             }
 
             // Asynchronous response - need to poll
-            this.currentRequestId = queueResponse.request_id;
-            this.statusUrl = queueResponse.status_url;
-            this.resultUrl = queueResponse.response_url;
-
-            // Save generation state for recovery
-            this.saveGenerationState({
-                requestId: this.currentRequestId,
-                statusUrl: this.statusUrl,
-                resultUrl: this.resultUrl,
-                endpointId: this.currentEndpointId,
-                timestamp: Date.now()
-            });
+            this.jobManager.attachQueueResponse(job, queueResponse);
+
+            // Save pending jobs for recovery
+            this.savePendingJobs();
 
             // Start polling
-            this.startStatusPolling();
+            this.startStatusPolling(job);
 
         } catch (error) {
             console.error('Generation error:', error);
-            this.showError('Generation failed: ' + error.message);
-            this.resetGenerateButton();
-            this.releaseWakeLock(); // Release wake lock on error
+            this.jobManager.finishJob(job, 'FAILED', error.message);
+            this.handleApiError(error, 'Generation', job);
         }
+
+        return job;
     }
 
-    resetGenerateButton() {
+    setGenerateButtonLoading(loading) {
         const generateBtn = document.querySelector('.generate-btn');
+        if (!generateBtn) return;
+
         const generateText = generateBtn.querySelector('.generate-text');
         const generateLoading = generateBtn.querySelector('.generate-loading');
 
-        generateBtn.classList.remove('loading');
-        generateText.classList.remove('hidden');
-        generateLoading.classList.add('hidden');
+        generateBtn.classList.toggle('loading', loading);
+        if (generateText) generateText.classList.toggle('hidden', loading);
+        if (generateLoading) generateLoading.classList.toggle('hidden', !loading);
+    }
 
-        // Clear saved generation state when generation finishes
-        this.clearGenerationState();
+    resetGenerateButton() {
+        this.setGenerateButtonLoading(false);
     }
 
-    collectFormData() {
+    // Jobs keep the key of the profile they were submitted with, even after switching profiles
+    getApiKey(job = null) {
+        return (job && this.keyProfiles.getKey(job.profileId)) || this.apiKey;
+    }
+
+    // Display id (e.g. fal-ai/flux-lora) for an endpoints map key; custom endpoints are keyed custom-<timestamp>
+    getEndpointName(endpointId) {
+        return this.endpoints.get(endpointId)?.metadata?.endpointId || endpointId;
+    }
+
+    // Called by the job manager whenever a job reaches a terminal state
+    onJobFinished(job) {
+        // Drop finished job from the persisted pending list; a startup resume saves once when it is done
+        if (!this.resumingJobs) this.savePendingJobs();
+
+        // Keep the screen awake until the last job is done
+        if (this.jobManager.getActiveJobs().length === 0) {
+            this.releaseWakeLock();
+        }
+
+        this.logDebug(`Job ${job.status.toLowerCase()}`, 'status', {
+            jobId: job.id,
+            requestId: job.requestId,
+            endpoint: job.endpointId
+        });
+    }
+
+    // expandPrompt resolves wildcard/alternation syntax to the prompt actually sent;
+    // leave it off when saving settings so the template itself is kept
+    collectFormData({ expandPrompt = false } = {}) {
         const form = document.getElementById('generation-form');
         const data = {};
 
@@ -2246,6 +2379,10 @@ sendSystemNotification(title, body, type = 'info') {
             }
         }
 
+        if (expandPrompt && typeof data.prompt === 'string') {
+            data.prompt = this.promptTemplate.expand(data.prompt);
+        }
+
         return data;
     }
 
@@ -2381,14 +2518,31 @@ sendSystemNotification(title, body, type = 'info') {
         current[lastPart] = value;
     }
 
+    // Validate a payload against the endpoint's input schema; returns 422-style {loc, msg} errors
+    validatePayload(data, endpoint = this.currentEndpoint) {
+        const inputSchema = this.getInputSchema(endpoint?.schema);
+        if (!inputSchema) return [];
+
+        const errors = new FalAISchemaValidator(endpoint.schema).validate(data, inputSchema);
+        if (errors.length > 0) {
+            this.logDebug('Payload failed schema validation', 'warning', errors);
+        }
+        return errors;
+    }
+
+    // Returns a map of payload index -> form index so API errors on loras[n] land on the right item
     filterLoRAs(data) {
+        const indexMap = {};
+
         // Filter out LoRAs with weight 0 from the request
         if (data.loras && Array.isArray(data.loras)) {
+            indexMap.loras = [];
+
             if (this.debugMode) {
                 console.log('[SEARCH] LoRA data before filtering:', JSON.stringify(data.loras, null, 2));
             }
 
-            data.loras = data.loras.filter(lora => {
+            data.loras = data.loras.filter((lora, index) => {
                 // Keep LoRA if it has a valid path and scale is not exactly 0
                 const hasPath = lora && lora.path && lora.path.trim() !== '';
                 const scaleValue = lora && (lora.scale !== undefined ? lora.scale : lora.weight);
@@ -2402,6 +2556,7 @@ sendSystemNotification(title, body, type = 'info') {
                     console.log(`🚫 Filtering out LoRA "${lora.path}" with scale ${scaleValue} (should be !== 0)`);
                 }
 
+                if (hasPath && hasValidScale) indexMap.loras.push(index);
                 return hasPath && hasValidScale;
             });
 
@@ -2410,10 +2565,11 @@ sendSystemNotification(title, body, type = 'info') {
                 delete data.loras;
             }
         }
+
+        return indexMap;
     }
 
-    async submitToQueue(data) {
-        const endpoint = this.currentEndpoint;
+    async submitToQueue(data, endpoint = this.currentEndpoint, options = {}) {
         const baseUrl = endpoint.schema.servers[0].url;
         const endpointPath = this.getSubmissionPath(endpoint.schema);
         const fullUrl = baseUrl + endpointPath;
@@ -2429,29 +2585,205 @@ sendSystemNotification(title, body, type = 'info') {
             body: data
         });
 
-        const response = await fetch(fullUrl, {
+        // Each accepted submit is a billed job, so only retry when fal says it did not take the request
+        const response = await this.queueFetch(fullUrl, {
             method: 'POST',
             headers: {
                 'Authorization': `Key ${this.apiKey}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(data)
-        });
+        }, { ...options, idempotent: false });
+
+        const result = await response.json();
+        this.logDebug('Request submitted successfully', 'response', result);
+
+        return result;
+    }
+
+    // fetch() for queue requests: throws FalAIApiError, retries transient failures with backoff and jitter.
+    // Requests that are not idempotent are only retried when the error says nothing was accepted
+    async queueFetch(url, fetchOptions, { retries = 4, onRetry = null, idempotent = true } = {}) {
+        // Callers pass the fal URL; the proxy setting decides where it really goes
+        const routed = this.proxy.route(url, fetchOptions);
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+
+            try {
+                const response = await fetch(routed.url, routed.options);
+                if (response.ok) return response;
+                error = await FalAIApiError.fromResponse(response);
+            } catch (fetchError) {
+                if (fetchError instanceof FalAIApiError) throw fetchError;
+                error = FalAIApiError.fromNetworkError(fetchError);
+            }
 
-        if (!response.ok) {
-            const error = await response.text();
             this.logDebug('Request failed', 'error', {
-                status: response.status,
-                statusText: response.statusText,
-                error: error
+                url: routed.url,
+                attempt: attempt + 1,
+                kind: error.kind,
+                status: error.status,
+                error: error.body || error.message
             });
-            throw new Error(`HTTP ${response.status}: ${error}`);
+
+            const retryable = idempotent ? error.isRetryable : error.isSafeToResubmit;
+            if (!retryable || attempt >= retries) throw error;
+
+            const delay = FalAIApiError.getRetryDelay(attempt, error);
+            if (onRetry) onRetry(error, attempt + 1, delay);
+            await new Promise(resolve => setTimeout(resolve, delay));
         }
+    }
 
-        const result = await response.json();
-        this.logDebug('Request submitted successfully', 'response', result);
+    // Route a classified API error to the right UI response
+    handleApiError(error, context = 'Request', job = null) {
+        const kind = error instanceof FalAIApiError ? error.kind : 'unknown';
 
-        return result;
+        if (kind === 'auth') {
+            // Open the key modal so the user can fix the key right away
+            this.keyProfiles.openModal();
+            this.showError(error.message);
+        } else if (kind === 'validation') {
+            // Only map onto the form if it still shows the endpoint the job was sent to
+            if (!job || job.endpointId === this.currentEndpointId) {
+                this.highlightValidationErrors(error.detail, job?.fieldIndexMap);
+            }
+            this.showError(error.message);
+        } else if (kind === 'payload-too-large') {
+            this.showError(error.message);
+        } else {
+            this.showError(`${context} failed: ${error.message}`);
+        }
+    }
+
+    // Mark form fields named in a 422 `detail` array ([{loc: ['body', 'loras', 1, 'scale'], msg}])
+    highlightValidationErrors(detail, indexMap = {}) {
+        this.clearValidationErrors();
+        if (!Array.isArray(detail)) return;
+
+        const unmatched = [];
+        let firstField = null;
+
+        for (const item of detail) {
+            const loc = Array.isArray(item.loc) ? item.loc.filter(part => part !== 'body') : [];
+            const field = this.findFieldForLoc(loc, indexMap || {});
+
+            if (!field) {
+                unmatched.push(`${loc.join('.') || 'request'}: ${item.msg}`);
+                continue;
+            }
+
+            this.markFieldError(field, item.msg);
+            if (!firstField) firstField = field;
+        }
+
+        if (firstField) {
+            this.revealField(firstField);
+        }
+        if (unmatched.length > 0) {
+            this.showToast('Validation', unmatched.join('\n'), 'error');
+        }
+    }
+
+    // Turn a loc path into form field names, most specific first:
+    // ['loras', 1, 'scale'] -> loras[1].scale, loras[1], loras
+    // ['image_size', 'width'] -> image_size.width, image_size_width, image_size
+    getFieldNameCandidates(loc, indexMap = {}) {
+        const candidates = [];
+        let path = '';
+
+        loc.forEach((part, i) => {
+            if (typeof part === 'number' || /^\d+$/.test(part)) {
+                // Payload index may differ from the form index when items were filtered out
+                const map = indexMap[loc[i - 1]];
+                const index = map && map[part] !== undefined ? map[part] : part;
+                path += `[${index}]`;
+            } else {
+                path += path ? `.${part}` : part;
+            }
+            candidates.unshift(path);
+        });
+
+        // Object sub-fields like image_size.width are rendered as image_size_width
+        if (loc.length > 1) {
+            candidates.splice(1, 0, candidates[0].replace(/\./g, '_'));
+        }
+
+        return candidates;
+    }
+
+    findFieldForLoc(loc, indexMap = {}) {
+        if (loc.length === 0) return null;
+
+        const form = document.getElementById('generation-form');
+        // Advanced fields may currently live in the mobile menu
+        const roots = [form, document.getElementById('mobile-advanced-options')].filter(Boolean);
+
+        for (const name of this.getFieldNameCandidates(loc, indexMap)) {
+            for (const root of roots) {
+                const input = root.querySelector(`[name="${CSS.escape(name)}"]`) ||
+                    root.querySelector(`#${CSS.escape(name)}-items`);
+                const field = input?.closest('.form-field');
+                if (field) return field;
+            }
+        }
+
+        return null;
+    }
+
+    markFieldError(field, message) {
+        field.classList.add('field-error');
+
+        let messageEl = field.querySelector(':scope > .field-error-message');
+        if (!messageEl) {
+            messageEl = document.createElement('div');
+            messageEl.className = 'field-error-message';
+            field.appendChild(messageEl);
+
+            // Clear the mark as soon as the user edits the field
+            field.addEventListener('input', () => this.clearFieldError(field), { once: true });
+            field.addEventListener('change', () => this.clearFieldError(field), { once: true });
+        }
+        messageEl.textContent = messageEl.textContent ? `${messageEl.textContent}; ${message}` : message;
+    }
+
+    clearFieldError(field) {
+        field.classList.remove('field-error');
+        field.querySelector(':scope > .field-error-message')?.remove();
+    }
+
+    clearValidationErrors() {
+        document.querySelectorAll('.form-field.field-error').forEach(field => this.clearFieldError(field));
+    }
+
+    // Make a field visible: expand its LoRA item, open the advanced section, scroll and focus
+    revealField(field) {
+        const arrayItem = field.closest('.array-item.collapsible');
+        if (arrayItem) arrayItem.classList.add('expanded');
+
+        const inAdvanced = field.closest('.advanced-options-content, #mobile-advanced-options');
+        if (inAdvanced) {
+            // Advanced options are only shown inside the menu panel
+            this.openMobileMenu();
+            const section = document.getElementById('mobile-advanced-options').closest('.mobile-menu-section');
+            if (section) section.classList.remove('collapsed');
+        }
+
+        setTimeout(() => {
+            field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            const input = field.querySelector('input:not([type="hidden"]), select, textarea');
+            if (input) input.focus({ preventScroll: true });
+        }, inAdvanced ? 300 : 0);
+    }
+
+    // Show retry progress on the job entry
+    retryNotifier(job, action) {
+        return (error, attempt, delay) => {
+            this.jobManager.updateJob(job, {
+                message: `${error.message}. Retrying ${action} in ${Math.ceil(delay / 1000)}s (attempt ${attempt})...`
+            });
+        };
     }
 
     getSubmissionPath(schema) {
@@ -2463,64 +2795,116 @@ sendSystemNotification(title, body, type = 'info') {
         throw new Error('No submission endpoint found');
     }
 
-    startStatusPolling() {
-        if (this.statusPolling) {
-            clearInterval(this.statusPolling);
+    // Track a queued job: server-sent status stream first, polling with backoff as fallback
+    startStatusPolling(job) {
+        if (typeof FalAIQueueStream !== 'undefined' && 'ReadableStream' in window) {
+            this.startStatusStream(job);
+        } else {
+            this.startPollingFallback(job);
+        }
+    }
+
+    async startStatusStream(job) {
+        const { url, options } = this.proxy.route(FalAIQueueStream.urlFromStatusUrl(job.statusUrl), {
+            headers: {
+                'Authorization': `Key ${this.getApiKey(job)}`
+            }
+        });
+        const stream = new FalAIQueueStream({
+            url,
+            headers: options.headers,
+            onStatus: (status) => {
+                this.logDebug('Status event', 'response', status);
+                this.handleStatusUpdate(job, status).catch(error => this.handleStatusError(job, error));
+            }
+        });
+
+        this.jobManager.stopPolling(job);
+        job.stream = stream;
+
+        try {
+            await stream.start();
+        } catch (error) {
+            if (stream.isAborted()) return;
+            this.logDebug('Status stream unavailable, falling back to polling', 'warning', {
+                requestId: job.requestId,
+                error: error.message
+            });
         }
 
-        this.statusPolling = setInterval(async () => {
+        // Stream was replaced, stopped or the job already reached a final state
+        if (job.stream !== stream || stream.isAborted()) return;
+        job.stream = null;
+        if (this.jobManager.isFinished(job) || stream.lastStatus?.status === 'COMPLETED') return;
+
+        // Stream closed early (or never opened) - keep tracking with polling
+        this.startPollingFallback(job);
+    }
+
+    startPollingFallback(job) {
+        this.jobManager.startPolling(job, async () => {
             try {
-                await this.checkStatus();
+                await this.checkStatus(job);
             } catch (error) {
-                console.error('Status check failed:', error);
-                clearInterval(this.statusPolling);
-                this.showError('Status check failed: ' + error.message);
+                this.handleStatusError(job, error);
             }
-        }, 2000);
+        });
     }
 
-    async checkStatus() {
-        if (!this.statusUrl) return;
+    handleStatusError(job, error) {
+        console.error('Status check failed:', error);
+        this.jobManager.finishJob(job, 'FAILED', error.message);
+        this.handleApiError(error, 'Status check');
+    }
 
-        const response = await fetch(this.statusUrl, {
-            headers: {
-                'Authorization': `Key ${this.apiKey}`
-            }
-        });
+    async checkStatus(job) {
+        if (!job || !job.statusUrl || this.jobManager.isFinished(job)) return;
 
-        if (!response.ok) {
+        let response;
+        try {
+            response = await this.queueFetch(this.getStatusUrlWithLogs(job.statusUrl), {
+                headers: {
+                    'Authorization': `Key ${this.getApiKey(job)}`
+                }
+            }, { onRetry: this.retryNotifier(job, 'status check') });
+        } catch (error) {
             // If status endpoint returns 404 or 405, the job might be completed
             // Try to fetch results directly
-            if (response.status === 404 || response.status === 405) {
+            if (error.kind === 'not-found') {
                 this.logDebug('Status endpoint not available, trying to fetch results directly', 'info', {
-                    status: response.status,
-                    statusText: response.statusText
+                    requestId: job.requestId,
+                    status: error.status
                 });
-                clearInterval(this.statusPolling);
-                await this.fetchResults();
-                this.resetGenerateButton();
+                this.jobManager.stopPolling(job);
+                await this.fetchResults(job);
                 return;
             }
-
-            this.logDebug('Status check failed', 'error', {
-                status: response.status,
-                statusText: response.statusText
-            });
-            throw new Error(`Status check failed: ${response.status}`);
+            throw error;
         }
 
         const status = await response.json();
         this.logDebug('Status response', 'response', status);
-        this.updateStatusDisplay(status);
+        await this.handleStatusUpdate(job, status);
+    }
+
+    getStatusUrlWithLogs(statusUrl) {
+        const url = new URL(statusUrl);
+        url.searchParams.set('logs', '1');
+        return url.toString();
+    }
+
+    // Shared by the stream and the polling fallback
+    async handleStatusUpdate(job, status) {
+        if (this.jobManager.isFinished(job)) return;
+
+        this.updateStatusDisplay(status, job);
 
         if (status.status === 'COMPLETED') {
-            clearInterval(this.statusPolling);
-            await this.fetchResults();
-            this.resetGenerateButton();
+            this.jobManager.stopPolling(job);
+            await this.fetchResults(job);
         } else if (status.status === 'FAILED') {
-            clearInterval(this.statusPolling);
+            this.jobManager.finishJob(job, 'FAILED', 'Generation failed');
             this.showError('Generation failed');
-            this.resetGenerateButton();
         }
     }
 
@@ -2533,10 +2917,7 @@ sendSystemNotification(title, body, type = 'info') {
         throw new Error('No status endpoint found');
     }
 
-    updateStatusDisplay(status) {
-        const statusMessage = document.getElementById('status-message');
-        const progressFill = document.getElementById('progress-fill');
-
+    updateStatusDisplay(status, job) {
         // Update message based on status
         let message = '';
         let progress = 0;
@@ -2550,7 +2931,7 @@ sendSystemNotification(title, body, type = 'info') {
                 progress = 25; // Default progress for processing
             }
         } else if (status.status === 'IN_QUEUE') {
-            if (status.queue_position !== undefined) {
+            if (status.queue_position !== undefined && status.queue_position !== null) {
                 message = `In queue (position ${status.queue_position})`;
                 progress = 10;
             } else {
@@ -2565,34 +2946,68 @@ sendSystemNotification(title, body, type = 'info') {
             progress = 15;
         }
 
-        statusMessage.textContent = message;
-        progressFill.style.width = `${progress}%`;
+        // Queue wait ends the first time the job is seen running
+        if (!job.startedAt && (status.status === 'IN_PROGRESS' || status.status === 'COMPLETED')) {
+            job.startedAt = Date.now();
+        }
+        if (status.metrics) {
+            job.metrics = { ...job.metrics, ...status.metrics };
+        }
+        if (Array.isArray(status.logs)) {
+            this.jobManager.appendLogs(job, status.logs);
+        }
+
+        // Terminal states are set by finishJob() once results are in
+        const changes = { message, progress };
+        if (status.status !== 'COMPLETED' && status.status !== 'FAILED') {
+            changes.status = status.status;
+        }
+        this.jobManager.updateJob(job, changes);
 
-        this.logDebug('Status updated', 'status', { status: status.status, progress, message });
+        this.logDebug('Status updated', 'status', { requestId: job.requestId, status: status.status, progress, message });
     }
 
-    async fetchResults() {
-        if (!this.resultUrl) return;
+    async fetchResults(job) {
+        if (!job || !job.responseUrl) return;
 
-        const response = await fetch(this.resultUrl, {
+        const response = await this.queueFetch(job.responseUrl, {
             headers: {
-                'Authorization': `Key ${this.apiKey}`
+                'Authorization': `Key ${this.getApiKey(job)}`
             }
-        });
-
-        if (!response.ok) {
-            this.logDebug('Result fetch failed', 'error', {
-                status: response.status,
-                statusText: response.statusText
-            });
-            throw new Error(`Result fetch failed: ${response.status}`);
-        }
+        }, { onRetry: this.retryNotifier(job, 'result fetch') });
 
         const result = await response.json();
         this.logDebug('Results fetched successfully', 'response', result);
 
-        this.displayResults(result);
-        this.hideGenerationStatus();
+        this.jobManager.setMetrics(job, this.buildJobMetrics(job, result));
+        this.displayResults(result, job);
+        this.jobManager.finishJob(job, 'COMPLETED', 'Generation completed successfully!');
+    }
+
+    // Timing summary for a finished job, stored with its gallery entries
+    buildJobMetrics(job, result = {}) {
+        const metrics = {};
+        const queueMetrics = job.metrics || {};
+
+        if (job.submittedAt && job.startedAt) {
+            metrics.queue_wait = Math.max(0, (job.startedAt - job.submittedAt) / 1000);
+        }
+
+        // Prefer the queue's own inference time, then the output timings
+        if (queueMetrics.inference_time != null) {
+            metrics.inference_time = queueMetrics.inference_time;
+        } else if (result.timings?.inference != null) {
+            metrics.inference_time = result.timings.inference;
+        }
+
+        if (job.submittedAt) {
+            metrics.total_time = (Date.now() - job.submittedAt) / 1000;
+        }
+        if (result.timings) {
+            metrics.timings = { ...result.timings };
+        }
+
+        return metrics;
     }
 
     getResultPath(schema, requestId) {
@@ -2604,12 +3019,25 @@ sendSystemNotification(title, body, type = 'info') {
         throw new Error('No result endpoint found');
     }
 
-    displayResults(result) {
-        // Release wake lock as generation is done
-        this.releaseWakeLock();
-
-        const container = document.getElementById('result-images');
-        container.innerHTML = '';
+    displayResults(result, job = null) {
+        // Route results by the job's own endpoint and payload, not whatever is selected now
+        const endpointId = job ? this.getEndpointName(job.endpointId) : this.currentEndpoint?.metadata?.endpointId;
+        const params = job ? this.filterBase64Data(job.payload) : {};
+        const requestId = job?.requestId || null;
+        const batchTag = job?.batch ? { id: job.batch.id, label: job.batch.label, params: job.batch.params } : null;
+        // Templated prompts record the expanded text that was sent, so the result can be reproduced
+        const templateTag = job?.promptTemplate ? { prompt_template: job.promptTemplate } : {};
+        // Whole-job cost from the pricing table, recorded to the spend log once; repeated on each image of the job
+        const cost = (result.images?.length || result.video?.url) ? this.pricing.recordJob(job, result) : null;
+        const costTag = cost ? { cost } : {};
+        const profile = this.keyProfiles.getTag(job ? job.profileId : undefined);
+        const profileTag = profile ? { profile } : {};
+
+        // Batch results go into their cell of the comparison grid instead of replacing the results
+        const container = batchTag && this.batch
+            ? this.batch.getResultCell(job.batch)
+            : document.getElementById('result-images');
+        if (!batchTag) container.innerHTML = '';
 
         // Store result for JSON display
         this.lastResult = result;
@@ -2622,24 +3050,31 @@ sendSystemNotification(title, body, type = 'info') {
             // Image generation results
             const added = [];
             for (const image of result.images) {
-                const imageElement = this.createImageElement(image, result);
+                const imageElement = this.createImageElement(image, result, job);
                 container.appendChild(imageElement);
                 // Auto-save silently (dedupe) so gallery always has generations
                 // Use prompt from API result if available, otherwise fall back to form input
-                const promptFromResult = result.prompt || image.prompt || (document.getElementById('prompt')?.value || '').trim();
+                const promptFromResult = job?.promptTemplate
+                    ? params.prompt
+                    : (result.prompt || image.prompt || params.prompt || '');
                 const meta = {
-                    endpoint: this.currentEndpoint?.metadata?.endpointId || 'Unknown',
-                    parameters: this.lastUsedParams || {},
+                    endpoint: endpointId || 'Unknown',
+                    parameters: params,
                     seed: result.seed || image.seed || '',
                     prompt: promptFromResult,
                     // Store complete API response data for metadata recovery
-                    request_id: this.currentRequestId,
+                    request_id: requestId,
+                    ...(job?.metrics ? { metrics: job.metrics } : {}),
+                    ...(batchTag ? { batch: batchTag } : {}),
+                    ...templateTag,
+                    ...costTag,
+                    ...profileTag,
                     api_response: {
                         ...result, // Full result from API
                         image_data: image, // Individual image data
                         generation_timestamp: Date.now(),
-                        api_endpoint: this.currentEndpoint?.metadata?.endpointId,
-                        form_params: { ...this.lastUsedParams } // Copy of form parameters
+                        api_endpoint: endpointId,
+                        form_params: { ...params } // Copy of form parameters
                     }
                 };
                 if (this.gallery.saveImage(image.url, meta, { dedupe: true, silent: true })) {
@@ -2664,19 +3099,24 @@ sendSystemNotification(title, body, type = 'info') {
             container.appendChild(videoElement);
 
             // Save video to gallery
-            const promptFromResult = result.prompt || (document.getElementById('prompt')?.value || '').trim();
+            const promptFromResult = job?.promptTemplate ? params.prompt : (result.prompt || params.prompt || '');
             const meta = {
-                endpoint: this.currentEndpoint?.metadata?.endpointId || 'Unknown',
-                parameters: this.lastUsedParams || {},
+                endpoint: endpointId || 'Unknown',
+                parameters: params,
                 seed: result.seed || '',
                 prompt: promptFromResult,
                 type: 'video',
-                request_id: this.currentRequestId,
+                request_id: requestId,
+                ...(job?.metrics ? { metrics: job.metrics } : {}),
+                ...(batchTag ? { batch: batchTag } : {}),
+                ...templateTag,
+                ...costTag,
+                ...profileTag,
                 api_response: {
                     ...result,
                     generation_timestamp: Date.now(),
-                    api_endpoint: this.currentEndpoint?.metadata?.endpointId,
-                    form_params: { ...this.lastUsedParams }
+                    api_endpoint: endpointId,
+                    form_params: { ...params }
                 }
             };
             if (this.gallery.saveImage(result.video.url, meta, { dedupe: true, silent: true })) {
@@ -2748,16 +3188,17 @@ sendSystemNotification(title, body, type = 'info') {
         jsonOutput.textContent = JSON.stringify(result, null, 2);
     }
 
-    createImageElement(image, metadata = {}) {
+    createImageElement(image, metadata = {}, job = null) {
     // Use gallery method (PhotoSwipe-compatible anchor)
-        const endpointId = this.currentEndpoint?.metadata?.endpointId;
-        const hasParams = this.lastUsedParams && Object.keys(this.lastUsedParams).length > 0;
-        // Use prompt from API result if available, otherwise fall back to form input
-        const promptFromResult = metadata.prompt || image.prompt || (document.getElementById('prompt')?.value || '').trim();
+        const endpointId = job ? this.getEndpointName(job.endpointId) : this.currentEndpoint?.metadata?.endpointId;
+        const params = job ? this.filterBase64Data(job.payload) : {};
+        const hasParams = Object.keys(params).length > 0;
+        // Use prompt from API result if available, otherwise fall back to the submitted prompt
+        const promptFromResult = metadata.prompt || image.prompt || params.prompt || '';
         // Store only minimal metadata needed for gallery (avoid entire result object duplication per image)
         const imageMetadata = {
             endpoint: endpointId || 'Unknown',
-            ...(hasParams ? { parameters: this.lastUsedParams } : {}),
+            ...(hasParams ? { parameters: params } : {}),
             seed: metadata.seed || image.seed || '',
             prompt: promptFromResult
         };
@@ -3234,24 +3675,39 @@ sendSystemNotification(title, body, type = 'info') {
         return null;
     }
 
-    exportSettings() {
+    async exportSettings() {
         try {
+            // Keys are left out unless the user opts in; profile labels and defaults are always exported.
+            // With encryption on, keys can only leave encrypted with the same passphrase
+            const encrypted = this.keyVault.isEnabled();
+            const includeKeys = encrypted
+                ? confirm('Include your API keys, encrypted with your passphrase?\n\nOK exports the encrypted keys. Cancel exports everything else without them.')
+                : confirm('Include API keys in the exported file?\n\nOK exports the keys in plain text. Cancel exports everything else without them.');
+            const keyMode = includeKeys ? (encrypted ? 'encrypted' : 'plain') : 'omit';
+
             // Collect all settings including custom endpoints
-            const customEndpoints = JSON.parse(localStorage.getItem('falai_custom_endpoints') || '{}');
-            const likedImages = JSON.parse(localStorage.getItem('falai_liked_images') || '[]');
-            const loraComments = JSON.parse(localStorage.getItem('falai_lora_comments') || '{}');
-            const lastEndpoint = localStorage.getItem('falai_last_endpoint');
+            const customEndpoints = JSON.parse(this.storage.getItem('falai_custom_endpoints') || '{}');
+            const likedImages = JSON.parse(this.storage.getItem('falai_liked_images') || '[]');
+            const loraComments = JSON.parse(this.storage.getItem('falai_lora_comments') || '{}');
+            const lastEndpoint = this.storage.getItem('falai_last_endpoint');
             const settings = {
                 version: '1.0.0',
                 timestamp: new Date().toISOString(),
-                apiKey: this.apiKey,
+                ...(keyMode === 'plain' ? { apiKey: this.apiKey } : {}),
+                keyProfiles: this.keyProfiles.export(keyMode),
+                ...(keyMode === 'encrypted' ? { keyVault: this.keyVault.meta } : {}),
+                proxy: this.proxy.export(),
                 endpointSettings: this.endpointSettings,
-                savedImages: this.gallery.savedImages,
+                savedImages: await this.storage.exportImages(this.gallery.savedImages),
+                galleryCollections: this.galleryCollections.export(),
                 likedImages: likedImages,
                 debugMode: this.debugMode,
-                advancedVisible: localStorage.getItem('falai_advanced_visible') === 'true',
+                advancedVisible: this.storage.getItem('falai_advanced_visible') === 'true',
                 customEndpoints: customEndpoints,
                 loraComments: loraComments,
+                promptHistory: this.promptHistory.export(),
+                presets: this.presets.export(),
+                pricing: this.pricing.export(),
                 lastEndpoint: lastEndpoint
             };
 
@@ -3285,6 +3741,12 @@ sendSystemNotification(title, body, type = 'info') {
             const text = await file.text();
             const settings = JSON.parse(text);
 
+            // A single shared preset merges into the presets instead of replacing settings
+            if (FalAIPresetManager.isPresetFile(settings)) {
+                this.presets.importPresetFile(settings);
+                return;
+            }
+
             // Validate settings structure
             if (!settings.version || !settings.endpointSettings) {
                 throw new Error('Invalid settings file format');
@@ -3294,16 +3756,18 @@ sendSystemNotification(title, body, type = 'info') {
             const customEndpointsCount = settings.customEndpoints ? Object.keys(settings.customEndpoints).length : 0;
             const likedImagesCount = settings.likedImages ? settings.likedImages.length : 0;
             const loraCommentsCount = settings.loraComments ? Object.keys(settings.loraComments).length : 0;
-            const message = `Import settings from ${settings.timestamp || 'unknown date'}?\n\nThis will replace:\n- All endpoint settings\n- API key\n- Saved images (${settings.savedImages?.length || 0} images)\n- Liked images (${likedImagesCount} likes)\n- Custom endpoints (${customEndpointsCount} endpoints)\n- LoRA comments (${loraCommentsCount} models)\n- Last selected endpoint\n- Other preferences`;
+            const historyCount = settings.promptHistory
+                ? Object.values(settings.promptHistory).reduce((total, entries) => total + (entries?.length || 0), 0)
+                : 0;
+            const message = `Import settings from ${settings.timestamp || 'unknown date'}?\n\nThis will replace:\n- All endpoint settings\n- Active API key (profiles are merged; keys only if the file includes them)\n- Saved images (${settings.savedImages?.length || 0} images)\n- Gallery albums and auto-tagging rules\n- Liked images (${likedImagesCount} likes)\n- Custom endpoints (${customEndpointsCount} endpoints)\n- LoRA comments (${loraCommentsCount} models)\n- Pricing table and budget\n- Proxy settings (a new proxy address is confirmed separately)\n- Last selected endpoint\n- Other preferences\n\nPrompt history (${historyCount} prompts) and presets will be merged with the current ones.`;
 
             if (!confirm(message)) {
                 return;
             }
 
             // Import settings
-            if (settings.apiKey) {
-                this.apiKey = settings.apiKey;
-                localStorage.setItem('falai_api_key', this.apiKey);
+            if (settings.keyProfiles || settings.apiKey) {
+                await this.keyProfiles.import(settings.keyProfiles, settings.apiKey, settings.keyVault);
             }
 
             if (settings.endpointSettings) {
@@ -3318,25 +3782,44 @@ sendSystemNotification(title, body, type = 'info') {
             }
 
             if (settings.savedImages) {
-                this.gallery.savedImages = settings.savedImages;
-                localStorage.setItem('falai_saved_images', JSON.stringify(this.gallery.savedImages));
+                await this.storage.importImages(settings.savedImages);
+            }
+
+            if (settings.galleryCollections) {
+                this.galleryCollections.import(settings.galleryCollections);
             }
 
             if (settings.likedImages) {
                 this.gallery.likedImages = settings.likedImages;
-                localStorage.setItem('falai_liked_images', JSON.stringify(this.gallery.likedImages));
+                this.storage.setItem('falai_liked_images', JSON.stringify(this.gallery.likedImages));
             }
 
             if (settings.loraComments) {
-                localStorage.setItem('falai_lora_comments', JSON.stringify(settings.loraComments));
+                this.storage.setItem('falai_lora_comments', JSON.stringify(settings.loraComments));
+            }
+
+            if (settings.promptHistory) {
+                this.promptHistory.import(settings.promptHistory);
+            }
+
+            if (settings.presets) {
+                this.presets.import(settings.presets);
+            }
+
+            if (settings.pricing) {
+                this.pricing.import(settings.pricing);
+            }
+
+            if (settings.proxy) {
+                this.proxy.import(settings.proxy);
             }
 
             if (settings.lastEndpoint) {
-                localStorage.setItem('falai_last_endpoint', settings.lastEndpoint);
+                this.storage.setItem('falai_last_endpoint', settings.lastEndpoint);
             }
             if (settings.customEndpoints) {
                 // Import custom endpoints
-                localStorage.setItem('falai_custom_endpoints', JSON.stringify(settings.customEndpoints));
+                this.storage.setItem('falai_custom_endpoints', JSON.stringify(settings.customEndpoints));
                 // Reload custom endpoints into the current session
                 for (const [id, endpoint] of Object.entries(settings.customEndpoints)) {
                     this.endpoints.set(id, endpoint);
@@ -3348,7 +3831,7 @@ sendSystemNotification(title, body, type = 'info') {
 
             if (settings.debugMode !== undefined) {
                 this.debugMode = settings.debugMode;
-                localStorage.setItem('falai_debug_mode', this.debugMode);
+                this.storage.setItem('falai_debug_mode', this.debugMode);
                 document.getElementById('debug-checkbox').checked = this.debugMode;
 
                 if (this.debugMode) {
@@ -3357,7 +3840,7 @@ sendSystemNotification(title, body, type = 'info') {
             }
 
             if (settings.advancedVisible !== undefined) {
-                localStorage.setItem('falai_advanced_visible', settings.advancedVisible);
+                this.storage.setItem('falai_advanced_visible', settings.advancedVisible);
             }
 
             // Refresh UI
@@ -3701,7 +4184,7 @@ sendSystemNotification(title, body, type = 'info') {
 
     getLoraComment(arrayName, itemIndex) {
         const endpointId = this.currentEndpointId;
-        const comments = JSON.parse(localStorage.getItem('falai_lora_comments') || sessionStorage.getItem('falai_lora_comments') || '{}');
+        const comments = JSON.parse(this.storage.getItem('falai_lora_comments') || '{}');
         return comments[endpointId]?.[`${arrayName}[${itemIndex}]`] || '';
     }
 
@@ -3718,7 +4201,7 @@ sendSystemNotification(title, body, type = 'info') {
 
     performSaveLoraComment(arrayName, itemIndex, comment) {
         const endpointId = this.currentEndpointId;
-        const comments = JSON.parse(localStorage.getItem('falai_lora_comments') || sessionStorage.getItem('falai_lora_comments') || '{}');
+        const comments = JSON.parse(this.storage.getItem('falai_lora_comments') || '{}');
 
         if (!comments[endpointId]) {
             comments[endpointId] = {};
@@ -3786,38 +4269,13 @@ sendSystemNotification(title, body, type = 'info') {
     }
 
 
+    // Nothing is thrown away to make room: write failures (a full storage included) arrive through storage.onError
     saveWithStorageCheck(key, data) {
         try {
-            localStorage.setItem(key, JSON.stringify(data));
-            // Also try to sync to sessionStorage as backup
-            try { sessionStorage.setItem(key, JSON.stringify(data)); } catch (e) {}
-            if (this.debugMode) console.log(`✅ Saved to localStorage: ${key}`);
+            this.storage.setItem(key, JSON.stringify(data));
+            if (this.debugMode) console.log(`✅ Saved: ${key}`);
         } catch (error) {
-            if (error.name === 'QuotaExceededError') {
-                this.logDebug('Storage quota exceeded, attempting cleanup...', 'warning');
-
-                // Try to free up space
-                this.cleanupBase64Images();
-                this.cleanupOldSettings();
-
-                // Retry once
-                try {
-                    localStorage.setItem(key, JSON.stringify(data));
-                    return;
-                } catch (retryError) {
-                    this.showToast('Storage Full', 'Browser storage is full. Please clear some saved images.', 'error');
-                }
-            } else {
-                console.warn('❌ Storage error (likely blocked by Tracking Prevention):', error.message || error);
-            }
-
-            // Fallback to sessionStorage for any error (Quota or Blocked)
-            try {
-                sessionStorage.setItem(key, JSON.stringify(data));
-                if (this.debugMode) console.log(`⚠️ Saved to sessionStorage as fallback for ${key} (localStorage blocked)`);
-            } catch (sessionError) {
-                console.error('❌ Both localStorage and sessionStorage failed:', sessionError);
-            }
+            console.warn(`❌ Could not save ${key}:`, error.message || error);
         }
     }
 
@@ -3886,25 +4344,31 @@ sendSystemNotification(title, body, type = 'info') {
 
 
 
-    async cancelGeneration() {
-        if (!this.currentRequestId) return;
+    async cancelGeneration(jobId) {
+        const job = this.jobManager.getJob(jobId);
+        if (!job || !job.requestId || this.jobManager.isFinished(job)) return;
 
         try {
-            const endpoint = this.currentEndpoint;
-            const baseUrl = endpoint.schema.servers[0].url;
-            const cancelPath = this.getCancelPath(endpoint.schema, this.currentRequestId);
+            // Prefer the cancel URL returned by the queue, fall back to the schema path
+            let cancelUrl = job.cancelUrl;
+            if (!cancelUrl) {
+                const endpoint = this.endpoints.get(job.endpointId);
+                if (!endpoint) throw new Error(`Unknown endpoint: ${job.endpointId}`);
+                const baseUrl = endpoint.schema.servers[0].url;
+                cancelUrl = baseUrl + this.getCancelPath(endpoint.schema, job.requestId);
+            }
 
-            await fetch(baseUrl + cancelPath, {
+            await this.queueFetch(cancelUrl, {
                 method: 'PUT',
                 headers: {
-                    'Authorization': `Key ${this.apiKey}`
+                    'Authorization': `Key ${this.getApiKey(job)}`
                 }
-            });
+            }, { retries: 1 });
 
-            clearInterval(this.statusPolling);
-            this.hideGenerationStatus();
+            this.jobManager.finishJob(job, 'CANCELLED', 'Cancelled');
         } catch (error) {
             console.error('Cancel failed:', error);
+            this.showToast('Cancel failed', error.message, 'error');
         }
     }
 
@@ -3918,15 +4382,12 @@ sendSystemNotification(title, body, type = 'info') {
     }
 
     showGenerationStatus(message, type = 'generating') {
-        const statusPanel = document.getElementById('generation-status');
         const statusMessage = document.getElementById('status-message');
-        const statusContainer = statusPanel.querySelector('.status-container');
+        const statusContainer = document.getElementById('status-banner');
         const progressFill = document.getElementById('progress-fill');
 
-        // Hide placeholder and results
+        // Hide placeholder (results and per-job entries stay visible)
         document.getElementById('no-images-placeholder').classList.add('hidden');
-        document.getElementById('results').classList.add('hidden');
-        document.getElementById('inline-gallery').classList.add('hidden');
 
         // Update message
         statusMessage.textContent = message;
@@ -3949,18 +4410,20 @@ sendSystemNotification(title, body, type = 'info') {
         }
 
         // Show status panel
-        statusPanel.classList.remove('hidden');
+        this.jobManager.updatePanelVisibility();
 
         this.logDebug(`Status shown: ${message}`, 'status', { type });
     }
 
     hideGenerationStatus() {
-        document.getElementById('generation-status').classList.add('hidden');
-        this.currentRequestId = null;
+        document.getElementById('status-banner').classList.add('hidden');
 
         // Reset progress
         document.getElementById('progress-fill').style.width = '0%';
 
+        // Panel stays open while other jobs are still listed
+        this.jobManager.updatePanelVisibility();
+
         this.logDebug('Status hidden', 'status');
     }
 
@@ -3973,7 +4436,10 @@ sendSystemNotification(title, body, type = 'info') {
         // Auto-hide error status after 5 seconds
         setTimeout(() => {
             this.hideGenerationStatus();
-            document.getElementById('no-images-placeholder').classList.remove('hidden');
+            const hasResults = !document.getElementById('results').classList.contains('hidden');
+            if (this.jobManager.jobs.size === 0 && !hasResults) {
+                document.getElementById('no-images-placeholder').classList.remove('hidden');
+            }
         }, 5000);
 
         this.logDebug('Error shown: ' + message, 'error');
@@ -4047,7 +4513,7 @@ sendSystemNotification(title, body, type = 'info') {
             return;
         }
 
-        // Filter out base64 image data to save localStorage space
+        // Filter out base64 image data to save storage space
         const filteredData = this.filterBase64Data(formData);
 
         // Debug log for all settings - show what will actually be saved (filtered data)
@@ -4317,18 +4783,18 @@ sendSystemNotification(title, body, type = 'info') {
         let totalSize = 0;
         const storageData = {};
 
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                const value = localStorage.getItem(key);
-                const size = new Blob([value]).size;
-                storageData[key] = {
-                    size: size,
-                    sizeFormatted: this.formatBytes(size),
-                    items: key.startsWith('falai_') ?
-                        (key === 'falai_saved_images' ? JSON.parse(value || '[]').length : 1) : 1
-                };
-                totalSize += size;
-            }
+        // Settings plus gallery metadata (image blobs are only in the browser's estimate)
+        const entries = this.storage.keys().map(key => [key, this.storage.getItem(key)]);
+        entries.push(['falai_saved_images', JSON.stringify(this.storage.images)]);
+
+        for (const [key, value] of entries) {
+            const size = new Blob([value]).size;
+            storageData[key] = {
+                size: size,
+                sizeFormatted: this.formatBytes(size),
+                items: key === 'falai_saved_images' ? this.storage.images.length : 1
+            };
+            totalSize += size;
         }
 
         return {
@@ -4351,6 +4817,10 @@ sendSystemNotification(title, body, type = 'info') {
 
     getStorageLimit() {
         // Return cached limit if already calculated
+        if (this.storage.hasIndexedDB() && this.storageEstimate?.quota) {
+            return this.storageEstimate.quota;
+        }
+
         if (this._cachedStorageLimit) {
             return this._cachedStorageLimit;
         }
@@ -4384,8 +4854,11 @@ sendSystemNotification(title, body, type = 'info') {
         // Analyze base64 images in settings
         const base64Analysis = this.analyzeBase64Images();
 
-        console.group('📊 LocalStorage Usage');
+        console.group(this.storage.hasIndexedDB() ? '📊 Storage Usage (IndexedDB)' : '📊 Storage Usage (localStorage)');
         console.log(`Total: ${info.totalFormatted} / ${info.limitFormatted} (${info.usage}%)`);
+        if (this.storageEstimate?.usage) {
+            console.log(`Browser reports ${this.formatBytes(this.storageEstimate.usage)} used, including image blobs`);
+        }
 
         if (base64Analysis.count > 0) {
             console.log(`⚠️  Base64 images found: ${base64Analysis.count} images (${this.formatBytes(base64Analysis.totalSize)})`);
@@ -4542,7 +5015,7 @@ sendSystemNotification(title, body, type = 'info') {
 
     restoreUIState() {
         // Restore advanced options state
-        const advancedVisible = localStorage.getItem('falai_advanced_visible') === 'true';
+        const advancedVisible = this.storage.getItem('falai_advanced_visible') === 'true';
         if (advancedVisible) {
             setTimeout(() => {
                 const toggle = document.querySelector('.advanced-options-toggle');
@@ -4560,7 +5033,7 @@ sendSystemNotification(title, body, type = 'info') {
                 setTimeout(() => {
                     const content = document.querySelector('.advanced-options-content');
                     if (content) {
-                        localStorage.setItem('falai_advanced_visible',
+                        this.storage.setItem('falai_advanced_visible',
                             content.classList.contains('visible'));
                     }
                 }, 10);
@@ -4716,7 +5189,7 @@ sendSystemNotification(title, body, type = 'info') {
                 metadata: this.extractMetadata(schema, endpointName)
             });
 
-            // Save custom endpoints to localStorage
+            // Save custom endpoints to storage
             this.saveCustomEndpoints();
 
             // Update dropdown
@@ -5638,12 +6111,12 @@ sendSystemNotification(title, body, type = 'info') {
                 customEndpoints[id] = endpoint;
             }
         }
-        localStorage.setItem('falai_custom_endpoints', JSON.stringify(customEndpoints));
+        this.storage.setItem('falai_custom_endpoints', JSON.stringify(customEndpoints));
     }
 
     loadCustomEndpoints() {
         try {
-            const saved = localStorage.getItem('falai_custom_endpoints');
+            const saved = this.storage.getItem('falai_custom_endpoints');
             if (saved) {
                 const customEndpoints = JSON.parse(saved);
                 for (const [id, endpoint] of Object.entries(customEndpoints)) {
@@ -5658,54 +6131,163 @@ sendSystemNotification(title, body, type = 'info') {
 
 
     // Persistent generation state management
-    saveGenerationState(state) {
-        localStorage.setItem('falai_generation_state', JSON.stringify(state));
-        this.logDebug('Saved generation state', 'info', state);
+    savePendingJobs() {
+        const pending = this.jobManager.getActiveJobs()
+            .filter(job => job.requestId)
+            .map(job => ({
+                id: job.id,
+                requestId: job.requestId,
+                endpointId: job.endpointId,
+                statusUrl: job.statusUrl,
+                resultUrl: job.responseUrl,
+                cancelUrl: job.cancelUrl,
+                // Base64 inputs would blow the storage quota; keep only the plain parameters
+                payload: this.filterBase64Data(job.payload || {}),
+                promptTemplate: job.promptTemplate || null,
+                profileId: job.profileId || null,
+                proxied: !!job.proxied,
+                createdAt: job.createdAt,
+                submittedAt: job.submittedAt || job.createdAt
+            }));
+
+        if (pending.length > 0) {
+            this.saveWithStorageCheck('falai_pending_jobs', pending);
+        } else {
+            this.clearGenerationState();
+        }
+        this.logDebug('Saved pending jobs', 'info', { count: pending.length });
+    }
+
+    loadPendingJobs() {
+        const saved = this.storage.getItem('falai_pending_jobs');
+        let pending = [];
+
+        try {
+            pending = JSON.parse(saved || '[]');
+        } catch (error) {
+            console.warn('Failed to parse pending jobs:', error);
+        }
+
+        // Migrate the old single-job state
+        const legacyState = this.storage.getItem('falai_generation_state');
+        if (legacyState) {
+            try {
+                const state = JSON.parse(legacyState);
+                if (state.requestId && !pending.some(item => item.requestId === state.requestId)) {
+                    pending.push({
+                        requestId: state.requestId,
+                        endpointId: state.endpointId,
+                        statusUrl: state.statusUrl,
+                        resultUrl: state.resultUrl,
+                        cancelUrl: state.cancelUrl || null,
+                        payload: {},
+                        createdAt: state.timestamp,
+                        submittedAt: state.timestamp
+                    });
+                }
+            } catch (error) {
+                console.warn('Failed to parse legacy generation state:', error);
+            }
+            this.storage.removeItem('falai_generation_state');
+        }
+
+        return Array.isArray(pending) ? pending : [];
     }
 
     clearGenerationState() {
-        localStorage.removeItem('falai_generation_state');
+        this.storage.removeItem('falai_pending_jobs');
+        this.storage.removeItem('falai_generation_state');
         this.logDebug('Cleared generation state', 'info');
     }
 
-    checkIncompleteGeneration() {
-        const savedState = localStorage.getItem('falai_generation_state');
-        if (!savedState) return;
+    // Fill in queue URLs missing from a saved job using its endpoint schema
+    resolveJobUrls(job, endpoint) {
+        if (!endpoint || !endpoint.schema) return;
 
         try {
-            const state = JSON.parse(savedState);
+            const baseUrl = endpoint.schema.servers[0].url;
+            if (!job.statusUrl) job.statusUrl = baseUrl + this.getStatusPath(endpoint.schema, job.requestId);
+            if (!job.responseUrl) job.responseUrl = baseUrl + this.getResultPath(endpoint.schema, job.requestId);
+        } catch (error) {
+            console.warn('Could not resolve queue URLs for job:', error);
+        }
+    }
+
+    checkIncompleteGeneration() {
+        const pending = this.loadPendingJobs();
+        if (pending.length === 0) return;
+
+        this.logDebug(`Found ${pending.length} incomplete generation(s), resuming...`, 'info', pending);
+
+        let latest = null;
+        // Expired and unavailable jobs are finished below; the list is saved once at the end
+        this.resumingJobs = true;
+
+        for (const state of pending) {
+            if (!state.requestId) continue;
+
+            // Restore the job with its own endpoint context
+            const endpoint = this.endpoints.get(state.endpointId);
+            const job = this.jobManager.createJob(state.endpointId, state.payload || {});
+            job.createdAt = state.createdAt || Date.now();
+            job.submittedAt = state.submittedAt || job.createdAt;
+            job.promptTemplate = state.promptTemplate || null;
+            job.profileId = state.profileId || null;
+            job.proxied = !!state.proxied;
+
+            this.jobManager.attachQueueResponse(job, {
+                request_id: state.requestId,
+                status_url: state.statusUrl,
+                response_url: state.resultUrl,
+                cancel_url: state.cancelUrl
+            });
+            this.resolveJobUrls(job, endpoint);
+
+            // fal only keeps queued results for a limited time, don't poll forever
+            if (this.jobManager.isExpired(job)) {
+                this.jobManager.finishJob(job, 'EXPIRED', 'Expired: results are no longer available');
+                continue;
+            }
 
-            this.logDebug('Found incomplete generation, resuming...', 'info', state);
+            if (!job.statusUrl || !job.responseUrl) {
+                this.jobManager.finishJob(job, 'FAILED', `Cannot resume: endpoint ${state.endpointId} is not available`);
+                continue;
+            }
 
-            // Restore state
-            this.currentRequestId = state.requestId;
-            this.statusUrl = state.statusUrl;
-            this.resultUrl = state.resultUrl;
+            this.jobManager.updateJob(job, { message: 'Resuming generation...' });
+            this.startStatusPolling(job);
 
-            // Show status and start polling
-            this.showGenerationStatus('Resuming generation...');
-            const generateBtn = document.querySelector('.generate-btn');
-            if (generateBtn) {
-                generateBtn.classList.add('loading');
-                const generateText = generateBtn.querySelector('.generate-text');
-                const generateLoading = generateBtn.querySelector('.generate-loading');
-                if (generateText) generateText.classList.add('hidden');
-                if (generateLoading) generateLoading.classList.remove('hidden');
+            if (endpoint && (!latest || job.createdAt > latest.createdAt)) {
+                latest = job;
             }
+        }
 
-            // Resume polling
-            this.startStatusPolling();
+        this.resumingJobs = false;
 
-        } catch (error) {
-            console.error('Error resuming generation:', error);
-            this.clearGenerationState();
+        // Bring back the endpoint of the most recent job, unless the user picked one this session
+        // (dropdown, shared link, key profile) while the startup default was showing
+        const untouched = !this.currentEndpointId || this.currentEndpointId === this.restoredEndpointId;
+        if (latest && untouched && this.currentEndpointId !== latest.endpointId) {
+            this.selectEndpoint(latest.endpointId);
+            document.getElementById('endpoint-dropdown').value = latest.endpointId;
+            this.updateDeleteButtonVisibility(latest.endpointId);
         }
+
+        this.savePendingJobs();
     }
 }
 
 // Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const falai = new FalAI();
+document.addEventListener('DOMContentLoaded', async () => {
+    // Settings are read synchronously by the constructors, so load (and migrate) storage first
+    const storage = new FalAIStorage();
+    try {
+        await storage.init();
+    } catch (error) {
+        storage.useWebStorage(error);
+    }
+
+    const falai = new FalAI(storage);
     window.app = falai; // Export for debugging
     console.log('FalAI initialized');
 });
\ No newline at end of file
@@ -0,0 +1,96 @@
+/**
+ * Batch runner: works through a list of items with a concurrency cap, tracking per-item status.
+ */
+
+class FalAIBatchRunner {
+    constructor({ items = [], concurrency = 2, runItem, onUpdate = () => {} } = {}) {
+        this.items = items.map((item, index) => ({ ...item, index, status: 'pending', error: null }));
+        this.concurrency = Math.max(1, concurrency);
+        this.runItem = runItem;
+        this.onUpdate = onUpdate;
+        this.running = 0;
+        this.cancelled = false;
+        this.paused = false;
+        this.resolveDone = null;
+    }
+
+    // Resolves once every item has finished (or the batch was cancelled and running items drained)
+    start() {
+        return new Promise(resolve => {
+            this.resolveDone = resolve;
+            this.fill();
+        });
+    }
+
+    // Launch pending items until the concurrency cap is reached
+    fill() {
+        while (!this.cancelled && !this.paused && this.running < this.concurrency) {
+            const item = this.items.find(candidate => candidate.status === 'pending');
+            if (!item) break;
+            this.runOne(item);
+        }
+
+        if (this.running === 0 && (this.cancelled || !this.items.some(item => item.status === 'pending'))) {
+            if (this.resolveDone) {
+                this.resolveDone(this.getProgress());
+                this.resolveDone = null;
+            }
+        }
+    }
+
+    async runOne(item) {
+        this.running++;
+        this.setStatus(item, 'running');
+
+        try {
+            const status = await this.runItem(item);
+            this.setStatus(item, status || 'completed');
+        } catch (error) {
+            item.error = error.message;
+            this.setStatus(item, 'failed');
+        } finally {
+            this.running--;
+            this.fill();
+        }
+    }
+
+    setStatus(item, status) {
+        item.status = status;
+        this.onUpdate(item, this.getProgress());
+    }
+
+    // Stop launching new items until resume(); items already submitted keep running
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.fill();
+    }
+
+    // Stop launching new items; items already submitted keep running
+    cancel() {
+        this.cancelled = true;
+        this.paused = false;
+        for (const item of this.items) {
+            if (item.status === 'pending') this.setStatus(item, 'skipped');
+        }
+        this.fill();
+    }
+
+    getProgress() {
+        const counts = { pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0, skipped: 0 };
+        for (const item of this.items) {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+        }
+        const done = this.items.length - counts.pending - counts.running;
+        return { ...counts, done, total: this.items.length };
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIBatchRunner;
+}
@@ -0,0 +1,466 @@
+/**
+ * Batch generation: parameter sweeps expanded into one job per combination, shown as a labeled comparison grid.
+ */
+
+class FalAIBatchManager {
+    constructor(app) {
+        this.app = app;
+        this.sweepFields = {};
+        this.panel = null;
+        this.activeBatches = new Map();
+        this.concurrency = parseInt(this.app.storage.getItem('falai_batch_concurrency') || '2', 10) || 2;
+
+        // Guard against accidentally queueing hundreds of paid requests
+        this.confirmThreshold = 50;
+        this.maxCombinations = 500;
+    }
+
+    // Parse "1-8", "1-20:5", "2.5, 3.5, 5" or "square, portrait_4_3" into a list of values for a field
+    static parseSweepValues(text, schema) {
+        const options = FalAIBatchManager.getEnumOptions(schema);
+        const isInteger = schema.type === 'integer';
+        const values = [];
+
+        for (const rawPart of text.split(/[,;\n]/)) {
+            const part = rawPart.trim();
+            if (!part) continue;
+
+            if (options) {
+                if (!options.some(option => String(option) === part)) {
+                    throw new Error(`"${part}" is not one of: ${options.join(', ')}`);
+                }
+                values.push(part);
+                continue;
+            }
+
+            const range = part.match(/^(-?\d+(?:\.\d+)?)\s*(?:-|\.\.)\s*(-?\d+(?:\.\d+)?)(?:\s*:\s*(\d+(?:\.\d+)?))?$/);
+            if (range) {
+                const start = Number(range[1]);
+                const end = Number(range[2]);
+                const step = range[3] ? Number(range[3]) : 1;
+                if (step <= 0) throw new Error(`Step must be positive in "${part}"`);
+
+                const direction = start <= end ? 1 : -1;
+                const count = Math.floor(Math.abs(end - start) / step + 1e-9) + 1;
+                for (let i = 0; i < count; i++) {
+                    // Round away float noise from repeated addition (e.g. 0.1 steps)
+                    values.push(Number((start + direction * i * step).toFixed(6)));
+                }
+                continue;
+            }
+
+            const number = Number(part);
+            if (!Number.isFinite(number)) {
+                throw new Error(`"${part}" is not a number or range`);
+            }
+            values.push(number);
+        }
+
+        if (isInteger && values.some(value => !Number.isInteger(value))) {
+            throw new Error('Only whole numbers are allowed for this field');
+        }
+        return values;
+    }
+
+    static getEnumOptions(schema) {
+        if (schema.enum) return schema.enum;
+        const enumOption = (schema.anyOf || []).find(option => option.enum);
+        return enumOption ? enumOption.enum : null;
+    }
+
+    // [[1, 2], ['a', 'b']] -> [[1, 'a'], [1, 'b'], [2, 'a'], [2, 'b']]
+    static cartesian(lists) {
+        return lists.reduce((combos, list) => {
+            const next = [];
+            for (const combo of combos) {
+                for (const value of list) next.push([...combo, value]);
+            }
+            return next;
+        }, [[]]);
+    }
+
+    static formatLabel(params) {
+        return Object.entries(params).map(([name, value]) => `${name}=${value}`).join(' · ');
+    }
+
+    // Fields that can be swept: numbers and enums (including anyOf enums like image_size)
+    getSweepableFields(inputSchema) {
+        const fields = {};
+        const properties = inputSchema?.properties || {};
+        const order = inputSchema?.['x-fal-order-properties'] || Object.keys(properties);
+
+        for (const name of order) {
+            const schema = properties[name];
+            if (!schema) continue;
+            if (schema.type === 'integer' || schema.type === 'number' || FalAIBatchManager.getEnumOptions(schema)) {
+                fields[name] = schema;
+            }
+        }
+        return fields;
+    }
+
+    createSweepPanel(inputSchema) {
+        this.sweepFields = this.getSweepableFields(inputSchema);
+
+        const panel = document.createElement('div');
+        panel.className = 'batch-sweep';
+        panel.innerHTML = `
+            <button type="button" class="batch-sweep-toggle">
+                <i class="ph ph-squares-four"></i> Batch Sweep
+            </button>
+            <div class="batch-sweep-content hidden">
+                <div class="batch-sweep-rows"></div>
+                <div class="batch-sweep-actions">
+                    <button type="button" class="btn secondary small batch-add-param">
+                        <i class="ph ph-plus"></i> Add Parameter
+                    </button>
+                    <label class="batch-concurrency-label">
+                        Parallel
+                        <input type="number" class="batch-concurrency" min="1" max="8">
+                    </label>
+                    <span class="batch-sweep-summary"></span>
+                </div>
+                <div class="field-description">
+                    Ranges like <code>1-8</code> or <code>1-20:5</code>, or lists like <code>2.5, 3.5, 5</code>.
+                    Every combination becomes its own job.
+                </div>
+            </div>
+        `;
+        this.panel = panel;
+
+        const content = panel.querySelector('.batch-sweep-content');
+        panel.querySelector('.batch-sweep-toggle').addEventListener('click', () => {
+            content.classList.toggle('hidden');
+        });
+
+        panel.querySelector('.batch-add-param').addEventListener('click', () => {
+            this.addSweepRow();
+        });
+
+        const concurrencyInput = panel.querySelector('.batch-concurrency');
+        concurrencyInput.value = this.concurrency;
+        concurrencyInput.addEventListener('change', () => {
+            this.concurrency = Math.min(8, Math.max(1, parseInt(concurrencyInput.value, 10) || 1));
+            concurrencyInput.value = this.concurrency;
+            this.app.storage.setItem('falai_batch_concurrency', this.concurrency);
+        });
+
+        if (Object.keys(this.sweepFields).length === 0) {
+            panel.classList.add('hidden');
+        }
+
+        return panel;
+    }
+
+    addSweepRow(fieldName = null, valuesText = '') {
+        const rows = this.panel.querySelector('.batch-sweep-rows');
+        const row = document.createElement('div');
+        row.className = 'batch-sweep-row';
+
+        // Inputs are intentionally unnamed so collectFormData() ignores them
+        const select = document.createElement('select');
+        select.className = 'batch-sweep-field';
+        for (const [name, schema] of Object.entries(this.sweepFields)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = schema.title || name;
+            select.appendChild(option);
+        }
+
+        // Default to a field that is not swept yet
+        const used = Array.from(rows.querySelectorAll('.batch-sweep-field')).map(el => el.value);
+        select.value = fieldName || Object.keys(this.sweepFields).find(name => !used.includes(name)) || select.value;
+
+        const valuesInput = document.createElement('input');
+        valuesInput.type = 'text';
+        valuesInput.className = 'batch-sweep-values';
+        valuesInput.value = valuesText;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn danger small';
+        removeBtn.innerHTML = '<i class="ph ph-x"></i>';
+        removeBtn.title = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            this.updateSummary();
+        });
+
+        const updatePlaceholder = () => {
+            const options = FalAIBatchManager.getEnumOptions(this.sweepFields[select.value]);
+            valuesInput.placeholder = options ? options.slice(0, 3).join(', ') : 'e.g. 1-8 or 2.5, 3.5, 5';
+        };
+        updatePlaceholder();
+
+        select.addEventListener('change', () => {
+            updatePlaceholder();
+            this.updateSummary();
+        });
+        valuesInput.addEventListener('input', () => this.updateSummary());
+
+        row.appendChild(select);
+        row.appendChild(valuesInput);
+        row.appendChild(removeBtn);
+        rows.appendChild(row);
+
+        this.updateSummary();
+        valuesInput.focus();
+    }
+
+    hasSweep() {
+        if (!this.panel || !this.panel.isConnected) return false;
+        return Array.from(this.panel.querySelectorAll('.batch-sweep-values')).some(input => input.value.trim());
+    }
+
+    // Returns [{name, values}] for every filled row; throws on invalid input
+    getSweepParams() {
+        const params = [];
+        const seen = new Set();
+
+        for (const row of this.panel.querySelectorAll('.batch-sweep-row')) {
+            const name = row.querySelector('.batch-sweep-field').value;
+            const text = row.querySelector('.batch-sweep-values').value.trim();
+            if (!text) continue;
+
+            if (seen.has(name)) throw new Error(`"${name}" is swept twice`);
+            seen.add(name);
+
+            try {
+                const values = FalAIBatchManager.parseSweepValues(text, this.sweepFields[name]);
+                if (values.length > 0) params.push({ name, values });
+            } catch (error) {
+                throw new Error(`${name}: ${error.message}`);
+            }
+        }
+
+        return params;
+    }
+
+    updateSummary() {
+        const summary = this.panel.querySelector('.batch-sweep-summary');
+        try {
+            const params = this.getSweepParams();
+            const count = params.reduce((total, param) => total * param.values.length, params.length ? 1 : 0);
+            summary.textContent = count > 0 ? `${count} job${count === 1 ? '' : 's'}` : '';
+            summary.classList.remove('error');
+        } catch (error) {
+            summary.textContent = error.message;
+            summary.classList.add('error');
+        }
+    }
+
+    async runSweep(basePayload, fieldIndexMap = {}, { onStart = null } = {}) {
+        let params;
+        try {
+            params = this.getSweepParams();
+        } catch (error) {
+            this.app.showError(`Batch sweep: ${error.message}`);
+            return;
+        }
+
+        const combos = FalAIBatchManager.cartesian(params.map(param => param.values));
+        if (combos.length > this.maxCombinations) {
+            this.app.showError(`Batch sweep would create ${combos.length} jobs (limit ${this.maxCombinations})`);
+            return;
+        }
+        if (combos.length > this.confirmThreshold && !confirm(`Queue ${combos.length} generations?`)) {
+            return;
+        }
+
+        const items = combos.map(combo => {
+            const values = {};
+            params.forEach((param, i) => { values[param.name] = combo[i]; });
+
+            const payload = JSON.parse(JSON.stringify(basePayload));
+            Object.assign(payload, values);
+            return { params: values, label: FalAIBatchManager.formatLabel(values), payload };
+        });
+
+        const title = `Sweep: ${params.map(param => param.name).join(' × ')}`;
+        if (!this.checkItems(items, { title, fieldIndexMap })) return;
+
+        // Images are shared by all variants: compress and upload once, only for a sweep that will run
+        await this.app.prepareFormImages(basePayload);
+        items.forEach(item => {
+            item.payload = Object.assign(JSON.parse(JSON.stringify(basePayload)), item.params);
+        });
+
+        await this.runBatch(items, {
+            title,
+            columns: params.length > 1 ? params[params.length - 1].values.length : Math.min(items.length, 4),
+            fieldIndexMap,
+            checked: true,
+            onStart
+        });
+    }
+
+    // Check every variant up front so a bad value does not surface halfway through the batch, then the budget.
+    // Callers that prepare (upload) images run this first, so an invalid batch uploads nothing
+    checkItems(items, { title = 'Batch', fieldIndexMap = {}, endpointId = this.app.currentEndpointId } = {}) {
+        const endpoint = this.app.endpoints.get(endpointId);
+
+        for (const item of items) {
+            const errors = this.app.validatePayload(item.payload, endpoint);
+            if (errors.length > 0) {
+                this.app.highlightValidationErrors(errors, fieldIndexMap);
+                this.app.showError(`${item.label || title}: ${errors[0].msg}`);
+                return false;
+            }
+        }
+        this.app.clearValidationErrors();
+
+        const estimate = this.app.pricing.estimateMany(endpointId, items.map(item => item.payload));
+        return !estimate || this.app.pricing.confirmBudget(estimate);
+    }
+
+    // Validate and queue a list of {label, params, payload} items through the batch runner.
+    // Payload images must already be compressed; `checked` skips checkItems when the caller already ran it.
+    async runBatch(items, { title = 'Batch', columns = 4, fieldIndexMap = {}, endpointId = this.app.currentEndpointId, checked = false, onStart = null, onUpdate = null } = {}) {
+        if (!checked && !this.checkItems(items, { title, fieldIndexMap, endpointId })) return null;
+
+        const batch = {
+            id: `batch-${Date.now()}`,
+            title,
+            columns,
+            runner: null
+        };
+        this.activeBatches.set(batch.id, batch);
+
+        batch.runner = new FalAIBatchRunner({
+            items,
+            concurrency: this.concurrency,
+            runItem: async (item) => {
+                const job = await this.app.startJob(item.payload, {
+                    endpointId,
+                    fieldIndexMap,
+                    batch: { id: batch.id, index: item.index, label: item.label, params: item.params },
+                    promptTemplate: item.promptTemplate || null
+                });
+                const status = await job.done;
+                return { COMPLETED: 'completed', CANCELLED: 'cancelled' }[status] || 'failed';
+            },
+            onUpdate: (item, progress) => {
+                this.updateCell(batch, item);
+                this.updateGridHeader(batch, progress);
+                if (onUpdate) onUpdate(item, progress);
+            }
+        });
+
+        this.renderGrid(batch);
+        if (onStart) onStart(batch);
+
+        const result = await batch.runner.start();
+        this.activeBatches.delete(batch.id);
+        this.updateGridHeader(batch, result, true);
+        this.app.showToast('Batch finished', `${result.completed} of ${result.total} completed`, result.failed ? 'warning' : 'success');
+
+        return result;
+    }
+
+    renderGrid(batch) {
+        const container = document.getElementById('result-images');
+        container.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'batch-grid-header';
+        header.dataset.batchId = batch.id;
+        header.innerHTML = `
+            <span class="batch-grid-title"></span>
+            <span class="batch-grid-progress"></span>
+            <button type="button" class="btn secondary small batch-pause-btn">Pause</button>
+            <button type="button" class="btn secondary small batch-stop-btn">Stop</button>
+        `;
+        header.querySelector('.batch-grid-title').textContent = batch.title;
+        header.querySelector('.batch-pause-btn').addEventListener('click', () => {
+            this.togglePause(batch);
+        });
+        header.querySelector('.batch-stop-btn').addEventListener('click', () => {
+            batch.runner.cancel();
+        });
+
+        const grid = document.createElement('div');
+        grid.className = 'batch-grid';
+        grid.dataset.batchId = batch.id;
+        grid.style.gridTemplateColumns = `repeat(${Math.max(1, Math.min(batch.columns, 6))}, minmax(0, 1fr))`;
+
+        for (const item of batch.runner.items) {
+            const cell = document.createElement('div');
+            cell.className = 'batch-cell pending';
+            cell.dataset.batchIndex = item.index;
+            cell.innerHTML = `
+                <div class="batch-cell-label"></div>
+                <div class="batch-cell-media"><span class="batch-cell-status">Pending</span></div>
+            `;
+            cell.querySelector('.batch-cell-label').textContent = item.label;
+            cell.title = item.label;
+            grid.appendChild(cell);
+        }
+
+        container.appendChild(header);
+        container.appendChild(grid);
+
+        this.app.gallery.switchRightPanelView('results');
+        document.getElementById('no-images-placeholder').classList.add('hidden');
+        document.getElementById('results').classList.remove('hidden');
+        this.app.switchResultsTab('images');
+        this.updateGridHeader(batch, batch.runner.getProgress());
+    }
+
+    togglePause(batch) {
+        if (batch.runner.paused) {
+            batch.runner.resume();
+        } else {
+            batch.runner.pause();
+        }
+        this.updateGridHeader(batch, batch.runner.getProgress());
+        if (batch.onPauseChange) batch.onPauseChange(batch.runner.paused);
+    }
+
+    getCell(batchId, index) {
+        return document.querySelector(`.batch-grid[data-batch-id="${batchId}"] .batch-cell[data-batch-index="${index}"]`);
+    }
+
+    // Where displayResults() should put a batch job's output; a detached element if the grid was replaced
+    getResultCell(batchInfo) {
+        const cell = this.getCell(batchInfo.id, batchInfo.index);
+        if (!cell) return document.createElement('div');
+
+        const media = cell.querySelector('.batch-cell-media');
+        media.querySelector('.batch-cell-status')?.remove();
+        return media;
+    }
+
+    updateCell(batch, item) {
+        const cell = this.getCell(batch.id, item.index);
+        if (!cell) return;
+
+        cell.className = `batch-cell ${item.status}`;
+        const statusEl = cell.querySelector('.batch-cell-status');
+        if (statusEl) {
+            const labels = { pending: 'Pending', running: 'Running...', failed: 'Failed', cancelled: 'Cancelled', skipped: 'Skipped', completed: '' };
+            statusEl.textContent = item.error || labels[item.status] || item.status;
+        }
+    }
+
+    updateGridHeader(batch, progress, finished = false) {
+        const header = document.querySelector(`.batch-grid-header[data-batch-id="${batch.id}"]`);
+        if (!header) return;
+
+        const failed = progress.failed ? `, ${progress.failed} failed` : '';
+        const paused = batch.runner.paused ? ' (paused)' : '';
+        header.querySelector('.batch-grid-progress').textContent = `${progress.done}/${progress.total} done${failed}${paused}`;
+
+        const pauseBtn = header.querySelector('.batch-pause-btn');
+        if (pauseBtn) pauseBtn.textContent = batch.runner.paused ? 'Resume' : 'Pause';
+
+        if (finished) {
+            header.querySelector('.batch-stop-btn')?.remove();
+            pauseBtn?.remove();
+        }
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIBatchManager;
+}
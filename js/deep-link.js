@@ -0,0 +1,174 @@
+/**
+ * Deep links: share an endpoint and its form parameters as a URL hash, restored when the link is opened.
+ * Format: #share=<endpoint id>&p=<payload>, where the payload is deflated JSON in base64url
+ * (prefixed "1.") or plain base64url JSON (prefixed "0.") where CompressionStream is missing.
+ */
+
+class FalAIDeepLink {
+    constructor(app) {
+        this.app = app;
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    static async transform(bytes, stream) {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    static async encodePayload(params) {
+        const bytes = new TextEncoder().encode(JSON.stringify(params));
+        if (typeof CompressionStream === 'undefined') {
+            return `0.${FalAIDeepLink.toBase64Url(bytes)}`;
+        }
+        const compressed = await FalAIDeepLink.transform(bytes, new CompressionStream('deflate-raw'));
+        return `1.${FalAIDeepLink.toBase64Url(compressed)}`;
+    }
+
+    static async decodePayload(text) {
+        const [format, data] = [text.slice(0, 2), text.slice(2)];
+        let bytes = FalAIDeepLink.fromBase64Url(data);
+
+        if (format === '1.') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot open compressed links');
+            }
+            bytes = await FalAIDeepLink.transform(bytes, new DecompressionStream('deflate-raw'));
+        } else if (format !== '0.') {
+            throw new Error('Unknown link format');
+        }
+
+        const params = JSON.parse(new TextDecoder().decode(bytes));
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            throw new Error('Link does not contain form parameters');
+        }
+        return params;
+    }
+
+    // { endpointId, data } from a "#share=...&p=..." hash, or null for any other hash
+    static parseHash(hash) {
+        const query = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const endpointId = query.get('share');
+        const data = query.get('p');
+        return endpointId && data ? { endpointId, data } : null;
+    }
+
+    // Base64 uploads would make links enormous; URL inputs are kept
+    async buildUrl(endpointId, params) {
+        const payload = await FalAIDeepLink.encodePayload(this.app.filterBase64Data(params || {}));
+        const base = `${location.origin}${location.pathname}`;
+        return `${base}#share=${encodeURIComponent(endpointId)}&p=${payload}`;
+    }
+
+    async copyLink(endpointId, params) {
+        let url;
+        try {
+            url = await this.buildUrl(endpointId, params);
+        } catch (error) {
+            this.app.showToast('Error', `Could not build link: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.app.showToast('Link copied', 'Anyone with the link can open this setup', 'success');
+        } catch (error) {
+            // Clipboard access can be denied (e.g. insecure origin); let the user copy it by hand
+            prompt('Copy this link:', url);
+        }
+    }
+
+    copyCurrentForm() {
+        const endpointId = this.app.currentEndpoint?.metadata?.endpointId;
+        if (!endpointId) {
+            this.app.showToast('Warning', 'No endpoint selected', 'warning');
+            return;
+        }
+        this.copyLink(endpointId, this.app.collectFormData());
+    }
+
+    // Gallery items keep the exact request parameters in api_response.form_params
+    copyGalleryItem(imageData) {
+        const endpointId = imageData.api_response?.api_endpoint || imageData.endpoint;
+        const params = { ...(imageData.api_response?.form_params || imageData.parameters || {}) };
+        if (!params.prompt && imageData.prompt) params.prompt = imageData.prompt;
+
+        if (!endpointId || endpointId === 'Unknown') {
+            this.app.showToast('Warning', 'This image has no endpoint recorded', 'warning');
+            return;
+        }
+        this.copyLink(endpointId, params);
+    }
+
+    bindEvents() {
+        window.addEventListener('hashchange', () => this.applyFromLocation());
+    }
+
+    // Open the shared endpoint with exactly the shared parameters, then drop the hash
+    // so a reload does not overwrite later edits
+    async applyFromLocation() {
+        const link = FalAIDeepLink.parseHash(location.hash);
+        if (!link) return false;
+
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+
+        let params;
+        try {
+            params = await FalAIDeepLink.decodePayload(link.data);
+        } catch (error) {
+            this.app.showToast('Error', `Invalid link: ${error.message}`, 'error');
+            return false;
+        }
+
+        const key = this.findEndpointKey(link.endpointId);
+        if (!key) {
+            this.app.showToast('Warning', `Endpoint ${link.endpointId} is not available here`, 'warning');
+            return false;
+        }
+
+        // Keep the current form before it is replaced. selectEndpoint() would save it too, but after
+        // the shared parameters are in place, which clobbers them when the link targets the same endpoint
+        if (this.app.currentEndpoint) this.app.performSaveEndpointSettings();
+        this.app.currentEndpoint = null;
+
+        const endpointName = this.app.getEndpointName(key);
+        this.app.endpointSettings[endpointName] = params;
+        this.app.saveWithStorageCheck('falai_endpoint_settings', this.app.endpointSettings);
+
+        // Force a rebuild so fields missing from the link start from their defaults;
+        // selectEndpoint() restores the settings through restoreEndpointSettings()
+        this.app.selectEndpoint(key, true);
+        document.getElementById('endpoint-dropdown').value = key;
+        this.app.updateDeleteButtonVisibility(key);
+        this.app.storage.setItem('falai_last_endpoint', key);
+
+        this.app.showToast('Shared setup loaded', link.endpointId, 'success');
+        return true;
+    }
+
+    // Built-in endpoints are keyed by their id; custom ones by "custom-<timestamp>"
+    findEndpointKey(endpointId) {
+        if (this.app.endpoints.has(endpointId)) return endpointId;
+        for (const [key, endpoint] of this.app.endpoints) {
+            if (endpoint.metadata?.endpointId === endpointId) return key;
+        }
+        return null;
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIDeepLink;
+}
@@ -0,0 +1,511 @@
+/**
+ * Gallery tags and albums: images carry `tags` (lowercase names) and `albums` (album ids) in their own record,
+ * assigned from the context menu, from bulk selection or by rules matching the endpoint or a prompt keyword.
+ */
+
+class FalAIGalleryCollections {
+    constructor(app) {
+        this.app = app;
+        // [{ id, name }]
+        this.albums = this.load('falai_gallery_albums');
+        // [{ id, match: 'endpoint' | 'prompt', value, tags: [], album: '' }], applied to every newly saved image
+        this.rules = this.load('falai_gallery_rules');
+        // Images the Tags & Albums dialog is editing
+        this.editing = [];
+    }
+
+    static newId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // "Portrait,  blue sky," -> ['portrait', 'blue sky']
+    static parseTags(text) {
+        const tags = text.split(',').map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    static tagsOf(image) {
+        return Array.isArray(image.tags) ? image.tags : [];
+    }
+
+    static albumsOf(image) {
+        return Array.isArray(image.albums) ? image.albums : [];
+    }
+
+    // Endpoints match exactly, prompt keywords anywhere in the prompt; both ignore case
+    static ruleMatches(rule, image) {
+        const value = (rule.value || '').toLowerCase();
+        if (!value) return false;
+        if (rule.match === 'endpoint') return (image.endpoint || '').toLowerCase() === value;
+        return (image.prompt || '').toLowerCase().includes(value);
+    }
+
+    // Add and remove tags/album ids on one image; empty lists are dropped from the record.
+    // Returns whether anything changed, persisting is up to the caller
+    static changeImage(image, { addTags = [], removeTags = [], addAlbums = [], removeAlbums = [] }) {
+        const tags = new Set(FalAIGalleryCollections.tagsOf(image));
+        const albums = new Set(FalAIGalleryCollections.albumsOf(image));
+        addTags.forEach(tag => tags.add(tag));
+        removeTags.forEach(tag => tags.delete(tag));
+        addAlbums.forEach(id => albums.add(id));
+        removeAlbums.forEach(id => albums.delete(id));
+
+        let changed = false;
+        for (const [field, values] of [['tags', tags], ['albums', albums]]) {
+            const before = image[field] || [];
+            if (before.length === values.size && before.every(value => values.has(value))) continue;
+            if (values.size > 0) image[field] = [...values];
+            else delete image[field];
+            changed = true;
+        }
+        return changed;
+    }
+
+    load(key) {
+        try {
+            const value = JSON.parse(this.app.storage.getItem(key) || '[]');
+            return Array.isArray(value) ? value : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    save() {
+        this.app.saveWithStorageCheck('falai_gallery_albums', this.albums);
+        this.app.saveWithStorageCheck('falai_gallery_rules', this.rules);
+    }
+
+    findAlbum(id) {
+        return this.albums.find(album => album.id === id) || null;
+    }
+
+    // Every tag in the gallery with how many images have it, most used first
+    tagCounts() {
+        const counts = new Map();
+        for (const image of this.app.gallery.savedImages) {
+            FalAIGalleryCollections.tagsOf(image).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        }
+        return new Map([...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+    }
+
+    // An existing album with the same name is reused rather than duplicated
+    createAlbum(name) {
+        const trimmed = name.trim();
+        if (!trimmed) return null;
+
+        const existing = this.albums.find(album => album.name.toLowerCase() === trimmed.toLowerCase());
+        if (existing) return existing;
+
+        const album = { id: FalAIGalleryCollections.newId('album'), name: trimmed };
+        this.albums.push(album);
+        this.save();
+        return album;
+    }
+
+    renameAlbum(id) {
+        const album = this.findAlbum(id);
+        if (!album) return;
+
+        const name = (prompt('Rename album:', album.name) || '').trim();
+        if (!name || name === album.name) return;
+
+        if (this.albums.some(other => other !== album && other.name.toLowerCase() === name.toLowerCase())) {
+            this.app.showToast('Warning', `An album named "${name}" already exists`, 'warning');
+            return;
+        }
+
+        album.name = name;
+        this.save();
+        this.refresh();
+    }
+
+    // The images stay in the gallery; rules that filed into the album keep their tags
+    deleteAlbum(id) {
+        const album = this.findAlbum(id);
+        if (!album || !confirm(`Delete album "${album.name}"? Its images stay in the gallery.`)) return;
+
+        this.assign(this.app.gallery.savedImages, { removeAlbums: [id] });
+        this.albums = this.albums.filter(candidate => candidate !== album);
+        this.rules.forEach(rule => {
+            if (rule.album === id) rule.album = '';
+        });
+        this.rules = this.rules.filter(rule => rule.tags.length > 0 || rule.album);
+        if (this.app.galleryFilter.criteria.album === id) this.app.galleryFilter.criteria.album = '';
+
+        this.save();
+        this.refresh();
+    }
+
+    // Apply a change to several images and persist the ones that changed; returns how many did
+    assign(images, change) {
+        let changed = 0;
+        images.forEach(image => {
+            if (!FalAIGalleryCollections.changeImage(image, change)) return;
+            this.app.storage.putImage(image);
+            changed++;
+        });
+        return changed;
+    }
+
+    // Tags and album of every matching rule, for an image about to be saved (the caller persists it)
+    applyRules(image) {
+        let changed = false;
+        for (const rule of this.rules) {
+            if (!FalAIGalleryCollections.ruleMatches(rule, image)) continue;
+            const addAlbums = rule.album && this.findAlbum(rule.album) ? [rule.album] : [];
+            changed = FalAIGalleryCollections.changeImage(image, { addTags: rule.tags, addAlbums }) || changed;
+        }
+        return changed;
+    }
+
+    // Rules only run on save; this catches up images saved before a rule existed
+    applyRulesToAll() {
+        if (this.rules.length === 0) {
+            this.app.showToast('Gallery', 'There are no rules to apply', 'info');
+            return;
+        }
+
+        let changed = 0;
+        this.app.gallery.savedImages.forEach(image => {
+            if (!this.applyRules(image)) return;
+            this.app.storage.putImage(image);
+            changed++;
+        });
+
+        this.refresh();
+        this.renderManageModal();
+        this.app.showToast('Gallery', changed > 0 ? `Rules updated ${changed} image${changed > 1 ? 's' : ''}` : 'All images already match the rules', changed > 0 ? 'success' : 'info');
+    }
+
+    addRule() {
+        const match = document.getElementById('rule-match').value;
+        const value = document.getElementById('rule-value').value.trim();
+        const tags = FalAIGalleryCollections.parseTags(document.getElementById('rule-tags').value);
+        const album = document.getElementById('rule-album').value;
+
+        if (!value) {
+            this.app.showToast('Warning', match === 'endpoint' ? 'Enter an endpoint for the rule' : 'Enter a prompt keyword for the rule', 'warning');
+            return;
+        }
+        if (tags.length === 0 && !album) {
+            this.app.showToast('Warning', 'Give the rule tags, an album or both', 'warning');
+            return;
+        }
+
+        this.rules.push({ id: FalAIGalleryCollections.newId('rule'), match, value, tags, album });
+        this.save();
+
+        document.getElementById('rule-value').value = '';
+        document.getElementById('rule-tags').value = '';
+        this.renderManageModal();
+    }
+
+    deleteRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.save();
+        this.renderManageModal();
+    }
+
+    // Grids, album bar and the tag filter's choices
+    refresh() {
+        this.app.gallery.applyFilters();
+        this.app.galleryFilter.renderOptions();
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.bulk-collections-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const selected = this.app.gallery.savedImages.filter(image => this.app.gallery.selectedImages.has(image.timestamp));
+                this.openAssignModal(selected);
+            });
+        });
+
+        document.querySelectorAll('.gallery-album-bar').forEach(bar => {
+            bar.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-album]');
+                if (chip) {
+                    this.app.galleryFilter.update('album', chip.dataset.album);
+                } else if (e.target.closest('.gallery-album-manage')) {
+                    this.openManageModal();
+                }
+            });
+        });
+
+        // Tags & Albums dialog
+        document.getElementById('save-collections').addEventListener('click', () => this.saveAssignModal());
+        document.getElementById('cancel-collections').addEventListener('click', () => this.closeAssignModal());
+
+        // Albums & Rules dialog
+        document.getElementById('close-albums-modal').addEventListener('click', () => {
+            document.getElementById('albums-modal').classList.add('hidden');
+        });
+        document.getElementById('add-album').addEventListener('click', () => {
+            const input = document.getElementById('new-album-name');
+            if (!this.createAlbum(input.value)) return;
+            input.value = '';
+            this.refresh();
+            this.renderManageModal();
+        });
+        document.getElementById('albums-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'rename') this.renameAlbum(button.dataset.id);
+            else this.deleteAlbum(button.dataset.id);
+            this.renderManageModal();
+        });
+        document.getElementById('rules-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (button) this.deleteRule(button.dataset.id);
+        });
+        document.getElementById('rule-match').addEventListener('change', () => this.updateRuleForm());
+        document.getElementById('add-rule').addEventListener('click', () => this.addRule());
+        document.getElementById('apply-rules').addEventListener('click', () => this.applyRulesToAll());
+    }
+
+    // Checkbox per album and tag: checked when every image has it, indeterminate when only some do.
+    // Indeterminate boxes the user leaves alone are left alone on save
+    openAssignModal(images) {
+        if (images.length === 0) return;
+        this.editing = images;
+
+        const count = (has) => images.filter(has).length;
+        const albumChoices = this.albums.map(album => ({
+            value: album.id,
+            label: album.name,
+            count: count(image => FalAIGalleryCollections.albumsOf(image).includes(album.id))
+        }));
+        const tagChoices = [...this.tagCounts().keys()].map(tag => ({
+            value: tag,
+            label: tag,
+            count: count(image => FalAIGalleryCollections.tagsOf(image).includes(tag))
+        }));
+
+        this.renderCheckList('collections-album-list', albumChoices, images.length, 'No albums yet');
+        this.renderCheckList('collections-tag-list', tagChoices, images.length, 'No tags yet');
+        document.getElementById('collections-new-album').value = '';
+        document.getElementById('collections-new-tags').value = '';
+        document.getElementById('collections-modal-description').textContent = images.length === 1
+            ? 'Albums and tags of this image.'
+            : `Albums and tags of ${images.length} selected images. A dash means only some of them have it.`;
+        document.getElementById('collections-modal').classList.remove('hidden');
+    }
+
+    renderCheckList(containerId, choices, total, emptyText) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+
+        if (choices.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'field-description';
+            empty.textContent = emptyText;
+            container.appendChild(empty);
+            return;
+        }
+
+        choices.forEach(({ value, label, count }) => {
+            const row = document.createElement('label');
+            row.className = 'collections-check';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            checkbox.checked = count === total;
+            checkbox.indeterminate = count > 0 && count < total;
+            const text = document.createElement('span');
+            text.textContent = label;
+            row.append(checkbox, text);
+            container.appendChild(row);
+        });
+    }
+
+    // [checked, unchecked] values of a check list, skipping indeterminate boxes
+    readCheckList(containerId) {
+        const add = [];
+        const remove = [];
+        document.querySelectorAll(`#${containerId} input[type="checkbox"]`).forEach(checkbox => {
+            if (checkbox.indeterminate) return;
+            (checkbox.checked ? add : remove).push(checkbox.value);
+        });
+        return [add, remove];
+    }
+
+    saveAssignModal() {
+        const [addAlbums, removeAlbums] = this.readCheckList('collections-album-list');
+        const [addTags, removeTags] = this.readCheckList('collections-tag-list');
+
+        const newAlbum = this.createAlbum(document.getElementById('collections-new-album').value);
+        if (newAlbum && !addAlbums.includes(newAlbum.id)) addAlbums.push(newAlbum.id);
+        FalAIGalleryCollections.parseTags(document.getElementById('collections-new-tags').value).forEach(tag => {
+            if (!addTags.includes(tag)) addTags.push(tag);
+        });
+
+        const changed = this.assign(this.editing, {
+            addTags,
+            removeTags: removeTags.filter(tag => !addTags.includes(tag)),
+            addAlbums,
+            removeAlbums
+        });
+
+        this.closeAssignModal();
+        this.refresh();
+        if (changed > 0) {
+            this.app.showNotification(`Updated ${changed} image${changed > 1 ? 's' : ''}`, 'success');
+        }
+    }
+
+    closeAssignModal() {
+        document.getElementById('collections-modal').classList.add('hidden');
+        this.editing = [];
+    }
+
+    openManageModal() {
+        this.renderManageModal();
+        this.updateRuleForm();
+        document.getElementById('albums-modal').classList.remove('hidden');
+    }
+
+    renderManageModal() {
+        const counts = this.albumCounts();
+
+        const albumList = document.getElementById('albums-list');
+        albumList.innerHTML = '';
+        this.albums.forEach(album => {
+            albumList.appendChild(this.createListRow(`${album.name} (${counts.get(album.id) || 0})`, [
+                { label: 'Rename', action: 'rename', id: album.id },
+                { label: 'Delete', action: 'delete', id: album.id }
+            ]));
+        });
+        if (this.albums.length === 0) albumList.appendChild(this.createListRow('No albums yet', []));
+
+        const ruleList = document.getElementById('rules-list');
+        ruleList.innerHTML = '';
+        this.rules.forEach(rule => {
+            ruleList.appendChild(this.createListRow(this.describeRule(rule), [{ label: 'Delete', action: 'delete', id: rule.id }]));
+        });
+        if (this.rules.length === 0) ruleList.appendChild(this.createListRow('No rules yet', []));
+
+        const albumSelect = document.getElementById('rule-album');
+        const selected = albumSelect.value;
+        albumSelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        this.albums.forEach(album => {
+            const option = document.createElement('option');
+            option.value = album.id;
+            option.textContent = album.name;
+            albumSelect.appendChild(option);
+        });
+        albumSelect.value = this.findAlbum(selected) ? selected : '';
+    }
+
+    createListRow(text, buttons) {
+        const row = document.createElement('div');
+        row.className = 'collections-list-row';
+        const label = document.createElement('span');
+        label.textContent = text;
+        row.appendChild(label);
+        buttons.forEach(({ label: buttonLabel, action, id }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = action === 'delete' ? 'btn danger small' : 'btn secondary small';
+            button.textContent = buttonLabel;
+            button.dataset.action = action;
+            button.dataset.id = id;
+            row.appendChild(button);
+        });
+        return row;
+    }
+
+    // 'Prompt contains "cat" → tags: animal, cute; album: Pets'
+    describeRule(rule) {
+        const condition = rule.match === 'endpoint' ? `Endpoint is ${rule.value}` : `Prompt contains "${rule.value}"`;
+        const targets = [];
+        if (rule.tags.length > 0) targets.push(`tags: ${rule.tags.join(', ')}`);
+        if (rule.album) targets.push(`album: ${this.findAlbum(rule.album)?.name || 'deleted'}`);
+        return `${condition} → ${targets.join('; ')}`;
+    }
+
+    // Endpoint rules suggest the endpoints the gallery and the endpoint list know about
+    updateRuleForm() {
+        const isEndpoint = document.getElementById('rule-match').value === 'endpoint';
+        const input = document.getElementById('rule-value');
+        input.placeholder = isEndpoint ? 'fal-ai/flux/dev' : 'Keyword';
+
+        if (isEndpoint) {
+            const datalist = document.getElementById('rule-endpoint-options');
+            const endpoints = new Set([...this.app.endpoints.keys(), ...this.app.gallery.savedImages.map(image => image.endpoint)]);
+            datalist.innerHTML = '';
+            [...endpoints].filter(Boolean).sort().forEach(endpoint => {
+                const option = document.createElement('option');
+                option.value = endpoint;
+                datalist.appendChild(option);
+            });
+            input.setAttribute('list', 'rule-endpoint-options');
+        } else {
+            input.removeAttribute('list');
+        }
+    }
+
+    // album id -> image count, plus 'none' for images in no album
+    albumCounts() {
+        const counts = new Map();
+        for (const image of this.app.gallery.savedImages) {
+            const albums = FalAIGalleryCollections.albumsOf(image);
+            if (albums.length === 0) counts.set('none', (counts.get('none') || 0) + 1);
+            albums.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+        }
+        return counts;
+    }
+
+    // Album chips above both grids: All, each album, No album, and the Albums & Rules dialog
+    renderAlbumBar() {
+        const counts = this.albumCounts();
+        const current = this.app.galleryFilter.criteria.album;
+        const chips = [{ id: '', label: `All (${this.app.gallery.savedImages.length})` }];
+        this.albums.forEach(album => chips.push({ id: album.id, label: `${album.name} (${counts.get(album.id) || 0})` }));
+        if (this.albums.length > 0 || current === 'none') chips.push({ id: 'none', label: `No album (${counts.get('none') || 0})` });
+
+        document.querySelectorAll('.gallery-album-bar').forEach(bar => {
+            bar.innerHTML = '';
+            chips.forEach(({ id, label }) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'gallery-album-chip';
+                chip.classList.toggle('active', id === current);
+                chip.dataset.album = id;
+                chip.textContent = label;
+                bar.appendChild(chip);
+            });
+
+            const manage = document.createElement('button');
+            manage.type = 'button';
+            manage.className = 'gallery-album-chip gallery-album-manage';
+            manage.title = 'Albums and auto-tagging rules';
+            manage.innerHTML = '<i class="ph ph-folders"></i> Albums & Rules';
+            bar.appendChild(manage);
+        });
+    }
+
+    export() {
+        return { albums: this.albums, rules: this.rules };
+    }
+
+    // Replaces albums and rules; the images' own tags and album ids come with the saved images
+    import(settings) {
+        if (!settings || typeof settings !== 'object') return;
+        this.albums = Array.isArray(settings.albums) ? settings.albums.filter(album => album?.id && album.name) : [];
+        this.rules = (Array.isArray(settings.rules) ? settings.rules : [])
+            .filter(rule => rule?.value)
+            .map(rule => ({
+                ...rule,
+                id: rule.id || FalAIGalleryCollections.newId('rule'),
+                tags: Array.isArray(rule.tags) ? rule.tags : [],
+                album: rule.album || ''
+            }));
+        const album = this.app.galleryFilter.criteria.album;
+        if (album && album !== 'none' && !this.findAlbum(album)) this.app.galleryFilter.criteria.album = '';
+        this.save();
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIGalleryCollections;
+}
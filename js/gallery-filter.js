@@ -0,0 +1,193 @@
+/**
+ * Gallery search and filters: prompt text, endpoint, date range, seed, image size, LoRA, liked, media type, album and tag.
+ * The inline and mobile galleries share one set of criteria, and PhotoSwipe pages through the same filtered list.
+ */
+
+class FalAIGalleryFilter {
+    constructor(app) {
+        this.app = app;
+        this.criteria = FalAIGalleryFilter.defaults();
+        this.timer = null;
+    }
+
+    static defaults() {
+        return { text: '', endpoint: '', from: '', to: '', seed: '', size: '', lora: '', liked: '', media: '', album: '', tag: '' };
+    }
+
+    static mediaType(image) {
+        return image.type === 'video' ? 'video' : 'image';
+    }
+
+    static seedOf(image) {
+        // Saved items store '' when the result had no seed; 0 is a real seed
+        const seed = [image.seed, image.parameters?.seed].find(value => value !== undefined && value !== null && value !== '');
+        return seed === undefined ? '' : String(seed);
+    }
+
+    // "1024×768": the measured size (stored with the thumbnail), else what the API reported
+    static sizeOf(image) {
+        const width = image.width || image.api_response?.image_data?.width;
+        const height = image.height || image.api_response?.image_data?.height;
+        return width && height ? `${width}×${height}` : '';
+    }
+
+    static lorasOf(image) {
+        const loras = image.parameters?.loras;
+        return Array.isArray(loras) ? loras.map(lora => lora?.path).filter(Boolean) : [];
+    }
+
+    // Last path segment, which is what people recognise a LoRA by
+    static loraLabel(path) {
+        return path.split(/[/\\]/).filter(Boolean).pop() || path;
+    }
+
+    isActive() {
+        return Object.values(this.criteria).some(value => value !== '');
+    }
+
+    // Filters other than the search box, for the badge on the Filters button
+    activeFacetCount() {
+        return Object.entries(this.criteria).filter(([key, value]) => key !== 'text' && value !== '').length;
+    }
+
+    apply(images) {
+        if (!this.isActive()) return images;
+
+        const criteria = this.criteria;
+        const terms = criteria.text.toLowerCase().split(/\s+/).filter(Boolean);
+        const liked = new Set(this.app.gallery.likedImages);
+        const from = criteria.from ? new Date(`${criteria.from}T00:00:00`).getTime() : null;
+        const to = criteria.to ? new Date(`${criteria.to}T23:59:59.999`).getTime() : null;
+        const seed = criteria.seed.trim();
+
+        return images.filter(image => {
+            if (terms.length > 0) {
+                const prompt = (image.prompt || '').toLowerCase();
+                if (!terms.every(term => prompt.includes(term))) return false;
+            }
+            if (criteria.endpoint && image.endpoint !== criteria.endpoint) return false;
+            if (criteria.media && FalAIGalleryFilter.mediaType(image) !== criteria.media) return false;
+            if (criteria.liked && liked.has(String(image.timestamp)) !== (criteria.liked === 'liked')) return false;
+            if (seed && FalAIGalleryFilter.seedOf(image) !== seed) return false;
+            if (criteria.size && FalAIGalleryFilter.sizeOf(image) !== criteria.size) return false;
+            if (criteria.lora && !FalAIGalleryFilter.lorasOf(image).includes(criteria.lora)) return false;
+            if (criteria.album === 'none' && FalAIGalleryCollections.albumsOf(image).length > 0) return false;
+            if (criteria.album && criteria.album !== 'none' && !FalAIGalleryCollections.albumsOf(image).includes(criteria.album)) return false;
+            if (criteria.tag && !FalAIGalleryCollections.tagsOf(image).includes(criteria.tag)) return false;
+            if (from !== null && image.timestamp < from) return false;
+            if (to !== null && image.timestamp > to) return false;
+            return true;
+        });
+    }
+
+    bindEvents() {
+        document.querySelectorAll('.gallery-filters').forEach(container => {
+            container.addEventListener('input', (e) => {
+                const field = e.target.dataset.filter;
+                if (field) this.update(field, e.target.value);
+            });
+            container.querySelector('.gallery-filter-toggle')?.addEventListener('click', () => this.togglePanel(container));
+            container.querySelector('.gallery-filter-reset')?.addEventListener('click', () => this.reset());
+        });
+    }
+
+    update(field, value) {
+        this.criteria[field] = value;
+        this.syncControls();
+
+        // Typing in the search or seed box filters once the user pauses
+        clearTimeout(this.timer);
+        const delay = field === 'text' || field === 'seed' ? 200 : 0;
+        this.timer = setTimeout(() => this.app.gallery.applyFilters(), delay);
+    }
+
+    reset() {
+        clearTimeout(this.timer);
+        this.criteria = FalAIGalleryFilter.defaults();
+        this.syncControls();
+        this.app.gallery.applyFilters();
+    }
+
+    togglePanel(container) {
+        const panel = container.querySelector('.gallery-filter-panel');
+        const opening = panel.classList.contains('hidden');
+        if (opening) this.renderOptions();
+        panel.classList.toggle('hidden', !opening);
+        container.querySelector('.gallery-filter-toggle').classList.toggle('active', opening);
+        this.app.gallery.updateMobileStickyHeights();
+    }
+
+    // Both scopes show the same criteria
+    syncControls() {
+        document.querySelectorAll('.gallery-filters [data-filter]').forEach(control => {
+            const value = this.criteria[control.dataset.filter];
+            if (control !== document.activeElement && control.value !== value) control.value = value;
+        });
+    }
+
+    // Endpoint, LoRA, size and tag choices come from what is in the gallery, with counts
+    renderOptions() {
+        const images = this.app.gallery.savedImages;
+        const facets = {
+            endpoint: new Map(),
+            lora: new Map(),
+            size: new Map(),
+            tag: new Map()
+        };
+        const count = (map, value) => value && map.set(value, (map.get(value) || 0) + 1);
+        for (const image of images) {
+            count(facets.endpoint, image.endpoint);
+            FalAIGalleryFilter.lorasOf(image).forEach(path => count(facets.lora, path));
+            count(facets.size, FalAIGalleryFilter.sizeOf(image));
+            FalAIGalleryCollections.tagsOf(image).forEach(tag => count(facets.tag, tag));
+        }
+
+        const labels = {
+            endpoint: value => value,
+            lora: value => FalAIGalleryFilter.loraLabel(value),
+            size: value => value,
+            tag: value => value
+        };
+        document.querySelectorAll('.gallery-filters').forEach(container => {
+            for (const [field, counts] of Object.entries(facets)) {
+                const select = container.querySelector(`select[data-filter="${field}"]`);
+                if (!select) continue;
+
+                // Keep the "any" option; a chosen value stays listed even if no image has it any more
+                select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+                const selected = this.criteria[field];
+                if (selected && !counts.has(selected)) counts.set(selected, 0);
+                [...counts.entries()].sort((a, b) => b[1] - a[1]).forEach(([value, n]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = `${labels[field](value)} (${n})`;
+                    if (field === 'lora') option.title = value;
+                    select.appendChild(option);
+                });
+                select.value = selected;
+            }
+        });
+    }
+
+    // "Showing 12 of 340" under the search box, and the number of filters on the button
+    renderSummary(shown, total) {
+        const facetCount = this.activeFacetCount();
+        document.querySelectorAll('.gallery-filters').forEach(container => {
+            const badge = container.querySelector('.gallery-filter-badge');
+            if (badge) {
+                badge.textContent = facetCount;
+                badge.classList.toggle('hidden', facetCount === 0);
+            }
+            const summary = container.querySelector('.gallery-filter-summary');
+            if (summary) {
+                summary.textContent = `Showing ${shown} of ${total}`;
+                summary.classList.toggle('hidden', !this.isActive());
+            }
+        });
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIGalleryFilter;
+}
@@ -5,13 +5,9 @@
 class FalAIGallery {
     constructor(app) {
         this.app = app;
-        this.savedImages = JSON.parse(localStorage.getItem('falai_saved_images') || '[]');
-        this.likedImages = JSON.parse(localStorage.getItem('falai_liked_images') || '[]');
+        this.likedImages = JSON.parse(this.app.storage.getItem('falai_liked_images') || '[]');
         this.currentImageIndex = 0;
 
-        // Filter state
-        this.showOnlyLiked = false;
-
         // Selection state
         this.selectionMode = false;
         this.selectedImages = new Set();
@@ -21,24 +17,104 @@ class FalAIGallery {
         this.longPressTimer = null;
         this.longPressThreshold = 500; // 500ms for long press
 
+        // Only the visible rows of each grid are in the DOM
+        this.inlineGrid = this.createGrid('inline-gallery-content', null, image => this.createInlineGalleryItem(image));
+        this.mobileGrid = this.createGrid('mobile-gallery-content', 'mobile-gallery', image => this.createMobileGalleryItem(image));
+
         this.initializeEventListeners();
         this.initializeContextMenu();
         this.updateMobileStickyHeights();
 
+        // Stored images and thumbnails are read now that the page is up; anything rendered before
+        // that (e.g. the gallery tab opened right away) is pointed at them once they are there
+        const blobsLoaded = this.app.storage.loadImageBlobs(this.savedImages)
+            .then(() => this.refreshRenderedItems())
+            .catch(error => console.warn('Could not read stored gallery images:', error));
+
         // Initialize galleries if they exist
-        setTimeout(() => {
+        setTimeout(() => blobsLoaded.then(() => {
             if (document.getElementById('inline-gallery-content')) {
                 this.showInlineGallery();
             }
             if (document.getElementById('mobile-gallery-content')) {
                 this.updateMobileGallery();
             }
-        }, 100);
+        }), 100);
 
         window.addEventListener('resize', () => this.updateMobileStickyHeights());
         window.falGallery = this; // expose for photoswipe-init
     }
 
+    // The list itself lives in the storage layer, which persists it entry by entry
+    get savedImages() {
+        return this.app.storage.images;
+    }
+
+    set savedImages(images) {
+        this.app.storage.images = images;
+    }
+
+    // Timestamps double as ids, so two saves in the same millisecond must not share one
+    nextTimestamp() {
+        const newest = this.savedImages[0]?.timestamp || 0;
+        return Math.max(Date.now(), newest + 1);
+    }
+
+    // Add a new entry at the top and persist it; a growing gallery asks the browser to keep storage around.
+    // Auto-tagging rules file it first. The file itself is downloaded in the background, before fal's URL
+    // expires, and a grid thumbnail made from it
+    addImage(imageData) {
+        this.app.galleryCollections.applyRules(imageData);
+        this.savedImages.unshift(imageData);
+        this.app.storage.putImage(imageData);
+        this.app.storage.requestPersistence();
+        this.app.imageCache.cache(imageData).then(() => this.app.thumbnails.ensure(imageData));
+    }
+
+    // Drop matching entries from the list and from storage; returns how many were removed
+    removeImages(shouldRemove) {
+        const removed = this.savedImages.filter(shouldRemove);
+        if (removed.length === 0) return 0;
+
+        this.savedImages = this.savedImages.filter(image => !shouldRemove(image));
+        this.app.storage.deleteImages(removed);
+        removed.forEach(image => {
+            if (image.localUrl) URL.revokeObjectURL(image.localUrl);
+            if (image.thumbUrl) URL.revokeObjectURL(image.thumbUrl);
+        });
+        return removed.length;
+    }
+
+    createGrid(containerId, scrollElementId, createItem) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        return new FalAIVirtualGrid({
+            container,
+            scrollElement: scrollElementId ? document.getElementById(scrollElementId) : container,
+            createItem,
+            updateItem: (div, imageData) => this.syncItemState(div, imageData),
+            emptyHtml: () => `<div class="text-center" style="grid-column: 1/-1; padding: 2rem; color: #6b7280;">${this.savedImages.length === 0 ? 'No saved images yet' : 'No images match the search or filters'}</div>`
+        });
+    }
+
+    // Saved images that pass the search and filters: what both grids and PhotoSwipe show
+    visibleImages() {
+        return this.app.galleryFilter.apply(this.savedImages);
+    }
+
+    // Filters changed: re-render both grids; selected images that are now hidden are deselected
+    applyFilters() {
+        const visible = new Set(this.visibleImages().map(image => image.timestamp));
+        for (const imageId of this.selectedImages) {
+            if (!visible.has(imageId)) this.selectedImages.delete(imageId);
+        }
+
+        this.showInlineGallery();
+        this.updateMobileGallery();
+        this.updateSelectionUI();
+    }
+
     initializeEventListeners() {
         // Right panel tab controls
         const resultsTabEl = document.getElementById('results-panel-tab');
@@ -79,6 +155,13 @@ class FalAIGallery {
         document.querySelectorAll('.select-not-liked-btn').forEach(btn => {
             btn.addEventListener('click', () => this.selectNotLikedImages());
         });
+        document.querySelectorAll('.cache-all-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.app.imageCache.cacheAll());
+        });
+
+        // Search box and filters (both scopes), album bar, tags & albums dialogs
+        this.app.galleryFilter.bindEvents();
+        this.app.galleryCollections.bindEvents();
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
@@ -227,9 +310,15 @@ class FalAIGallery {
             case 'copy-url':
                 this.copyImageUrl(imageData);
                 break;
+            case 'copy-link':
+                this.app.deepLink.copyGalleryItem(imageData);
+                break;
             case 'toggle-like':
                 this.toggleLike(imageData.timestamp);
                 break;
+            case 'collections':
+                this.app.galleryCollections.openAssignModal([imageData]);
+                break;
             case 'set-as-input':
                 this.setAsInput(imageData);
                 break;
@@ -253,8 +342,8 @@ class FalAIGallery {
 
     downloadImage(imageData) {
         const link = document.createElement('a');
-        link.href = imageData.url;
-        link.download = `falai-${imageData.endpoint}-${imageData.timestamp}.${this.getImageExtension(imageData.url)}`;
+        link.href = this.app.imageCache.displayUrl(imageData);
+        link.download = `falai-${imageData.endpoint}-${imageData.timestamp}.${this.getImageExtension(imageData.url || 'image.png')}`;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
@@ -265,6 +354,13 @@ class FalAIGallery {
     }
 
     copyImageUrl(imageData) {
+        if (!FalAIImageCache.isRemoteUrl(imageData.url)) {
+            if (this.app && this.app.showNotification) {
+                this.app.showNotification('This image is only stored locally and has no URL', 'warning');
+            }
+            return;
+        }
+
         navigator.clipboard.writeText(imageData.url).then(() => {
             if (this.app && this.app.showNotification) {
                 this.app.showNotification('Image URL copied to clipboard', 'success');
@@ -289,10 +385,35 @@ class FalAIGallery {
             ...restoredData.parameters
         };
 
+        if (restoredData.batch) {
+            metadata['Batch'] = restoredData.batch.label;
+        }
+
+        if (restoredData.prompt_template) {
+            metadata['Prompt Template'] = restoredData.prompt_template;
+        }
+
+        if (restoredData.profile) {
+            metadata['API Key Profile'] = restoredData.profile.label;
+        }
+
+        // Whole-job cost from the pricing table at the time it completed
+        if (restoredData.cost) {
+            const cost = restoredData.cost;
+            metadata['Cost'] = `${FalAIPricing.formatCost(cost.amount)} (${cost.units} ${cost.unit}${cost.units === 1 ? '' : 's'} × ${FalAIPricing.formatCost(cost.price)})`;
+        }
+
+        // Timing metrics recorded when the job finished
+        if (restoredData.metrics) {
+            const metrics = restoredData.metrics;
+            if (metrics.queue_wait != null) metadata['Queue Wait'] = `${metrics.queue_wait.toFixed(2)}s`;
+            if (metrics.total_time != null) metadata['Total Time'] = `${metrics.total_time.toFixed(2)}s`;
+        }
+
         // Add API response data if available
         if (restoredData.api_response) {
-            metadata['Inference Time'] = restoredData.api_response.timings?.inference ? 
-                `${restoredData.api_response.timings.inference.toFixed(2)}s` : 'N/A';
+            const inference = restoredData.metrics?.inference_time ?? restoredData.api_response.timings?.inference;
+            metadata['Inference Time'] = inference ? `${Number(inference).toFixed(2)}s` : 'N/A';
             metadata['NSFW Detected'] = restoredData.api_response.has_nsfw_concepts ? 
                 restoredData.api_response.has_nsfw_concepts.join(', ') : 'N/A';
         }
@@ -342,7 +463,7 @@ class FalAIGallery {
         
         // Update the saved image with restored data
         this.savedImages[imageIndex] = restoredImage;
-        this.saveImages();
+        this.app.storage.putImage(restoredImage);
         this.showInlineGallery();
         this.updateMobileGallery();
         
@@ -355,8 +476,7 @@ class FalAIGallery {
 
     deleteImage(imageData) {
         if (confirm('Are you sure you want to delete this image? This action cannot be undone.')) {
-            this.savedImages = this.savedImages.filter(img => img.timestamp !== imageData.timestamp);
-            this.saveImages();
+            this.removeImages(img => img.timestamp === imageData.timestamp);
             this.showInlineGallery();
             this.updateMobileGallery();
             
@@ -366,7 +486,7 @@ class FalAIGallery {
         }
     }
 
-    setAsInput(imageData) {
+    async setAsInput(imageData) {
         // Find the first available image upload field and set this image as input
         const uploadContainers = document.querySelectorAll('.image-upload-container');
         
@@ -384,12 +504,13 @@ class FalAIGallery {
         const preview = container.querySelector('.image-preview');
 
         if (urlInput && uploadArea && preview) {
-            urlInput.value = imageData.url;
+            // An expired fal URL is no use as input; the stored copy goes in as a data URL (uploaded on submit)
+            urlInput.value = await this.app.imageCache.inputUrl(imageData);
             
             // Show the image preview
             const img = preview.querySelector('img');
             if (img) {
-                img.src = imageData.url;
+                img.src = this.app.imageCache.displayUrl(imageData);
                 uploadArea.classList.add('hidden');
                 preview.classList.remove('hidden');
             }
@@ -581,29 +702,17 @@ class FalAIGallery {
         this.switchRightPanelView('gallery');
     }
 
-    // Display inline gallery with images
+    // Display inline gallery with images; only visible rows are rendered, and items already in the DOM are kept
     showInlineGallery() {
-        const container = document.getElementById('inline-gallery-content');
-
-        if (!container) return;
-
-        container.innerHTML = '';
-
-        if (this.savedImages.length === 0) {
-            container.innerHTML = '<div class="text-center" style="grid-column: 1/-1; padding: 2rem; color: #6b7280;">No saved images yet</div>';
-        } else {
-            this.savedImages.forEach((image, index) => {
-                const item = this.createInlineGalleryItem(image, index);
-                container.appendChild(item);
-            });
-        }
+        if (!this.inlineGrid) return;
 
-        // Update like indicators after DOM update
-        requestAnimationFrame(() => {
-            this.updateGalleryLikes();
-        });
+        const images = this.visibleImages();
+        this.inlineGrid.setItems(images);
+        this.app.galleryFilter.renderSummary(images.length, this.savedImages.length);
+        this.app.galleryCollections.renderAlbumBar();
+        this.app.imageCache.renderCacheAllButtons();
 
-        // PhotoSwipe reads DOM on open; no explicit reinit needed
+        // PhotoSwipe takes its slides from the grid's item list (see photoswipe-init), not only the rendered links
     }
 
     // Create gallery item for inline display (PhotoSwipe)
@@ -631,20 +740,13 @@ class FalAIGallery {
         `;
 
         // Anchor for PhotoSwipe
-        const link = document.createElement('a');
-        link.href = imageData.url;
-        link.className = 'pswp-item';
-        link.dataset.endpoint = imageData.endpoint || '';
-        link.dataset.prompt = imageData.prompt || '';
-        link.dataset.seed = imageData.seed || '';
-        link.dataset.meta = JSON.stringify(imageData.parameters || {});
-        link.dataset.imageId = imageData.timestamp;
-        this._assignNaturalSize(link, imageData.url);
+        const link = this.createPswpLink(imageData);
 
         const img = document.createElement('img');
-        img.src = imageData.url;
         img.alt = 'Saved image';
         img.loading = 'lazy';
+        this.setGridImage(link, img, imageData);
+        this.watchRemoteImage(img, imageData);
 
         const info = document.createElement('div');
         info.className = 'gallery-item-info';
@@ -677,6 +779,7 @@ class FalAIGallery {
         div.appendChild(selectionOverlay);
         div.appendChild(link);
         div.appendChild(info);
+        this.applyStorageState(div, imageData);
 
         // Always add like indicator area (visible only when liked, but always clickable)
         const likeIndicator = document.createElement('div');
@@ -712,6 +815,123 @@ class FalAIGallery {
         return div;
     }
 
+    // PhotoSwipe anchor for a saved image: the full image, its size and the metadata the lightbox buttons use
+    createPswpLink(imageData) {
+        const link = document.createElement('a');
+        link.href = this.app.imageCache.displayUrl(imageData);
+        link.className = 'pswp-item';
+        link.dataset.endpoint = imageData.endpoint || '';
+        link.dataset.prompt = imageData.prompt || '';
+        link.dataset.seed = imageData.seed || '';
+        link.dataset.meta = JSON.stringify(imageData.parameters || {});
+        link.dataset.imageId = imageData.timestamp;
+        if (imageData.width && imageData.height) {
+            link.setAttribute('data-pswp-width', imageData.width);
+            link.setAttribute('data-pswp-height', imageData.height);
+        }
+        return link;
+    }
+
+    // Like and selection state of a rendered item; items scrolled into view get it here
+    syncItemState(div, imageData) {
+        const isLiked = this.likedImages.includes(String(imageData.timestamp));
+        div.classList.toggle('liked', isLiked);
+        const likeIndicator = div.querySelector('.like-indicator');
+        if (likeIndicator) likeIndicator.style.display = isLiked ? 'flex' : 'none';
+
+        const isSelected = this.selectedImages.has(imageData.timestamp);
+        div.classList.toggle('selected', isSelected);
+        const checkbox = div.querySelector('.gallery-item-selection input[type="checkbox"]');
+        if (checkbox) checkbox.checked = isSelected;
+    }
+
+    // The virtual grid behind a gallery container (PhotoSwipe uses its full item list)
+    gridFor(container) {
+        return [this.inlineGrid, this.mobileGrid].find(grid => grid && grid.container === container) || null;
+    }
+
+    // PhotoSwipe slide for a saved image whether or not it is rendered; the thumbnail is the placeholder
+    slideData(container, imageData) {
+        const link = container.querySelector(`a.pswp-item[data-image-id="${imageData.timestamp}"]`) || this.createPswpLink(imageData);
+        return {
+            element: link,
+            src: link.href,
+            width: parseInt(link.getAttribute('data-pswp-width'), 10) || 0,
+            height: parseInt(link.getAttribute('data-pswp-height'), 10) || 0,
+            msrc: this.app.thumbnails.gridUrl(imageData),
+            alt: 'Saved image'
+        };
+    }
+
+    // Scroll a grid to an image so it is rendered (the lightbox closes onto it)
+    revealImage(container, imageId) {
+        const grid = this.gridFor(container);
+        if (!grid) return;
+        grid.scrollToIndex(grid.items.findIndex(image => String(image.timestamp) === String(imageId)));
+    }
+
+    // Local / remote only / missing marker on a gallery item
+    applyStorageState(div, imageData) {
+        const state = this.app.imageCache.getState(imageData);
+        const icons = { local: 'ph-hard-drive', remote: 'ph-cloud', missing: 'ph-warning-circle' };
+        div.dataset.storage = state;
+
+        let badge = div.querySelector('.storage-state');
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.className = 'storage-state';
+            div.appendChild(badge);
+        }
+        badge.title = FalAIImageCache.stateLabels()[state];
+        badge.innerHTML = `<i class="ph ${icons[state]}"></i>`;
+    }
+
+    // A remote thumbnail that fails to load may have expired; trying to cache it finds out
+    watchRemoteImage(img, imageData) {
+        if (this.app.imageCache.getState(imageData) !== 'remote') return;
+        img.addEventListener('error', () => this.app.imageCache.cache(imageData), { once: true });
+    }
+
+    // Grid <img> shows the thumbnail; the link (what PhotoSwipe opens) keeps the full image. Without a thumbnail
+    // yet the full image is shown, and its size is taken once it has loaded
+    setGridImage(link, img, imageData) {
+        if (imageData.width && imageData.height) {
+            link.setAttribute('data-pswp-width', imageData.width);
+            link.setAttribute('data-pswp-height', imageData.height);
+        }
+        img.src = this.app.thumbnails.gridUrl(imageData);
+        if (!imageData.thumbUrl) {
+            this._sizeFromLoadedImage(link, img);
+            this.app.thumbnails.ensure(imageData);
+        }
+    }
+
+    // After a download, a failed one or a new thumbnail, point the rendered items at the local copies
+    // and refresh their marker
+    updateRenderedItem(imageData) {
+        document.querySelectorAll(`.gallery-item[data-image-id="${imageData.timestamp}"]`).forEach(div => {
+            this.updateItemSources(div, imageData);
+        });
+        this.app.imageCache.renderCacheAllButtons();
+    }
+
+    // Same for everything both grids currently show (stored blobs read after startup)
+    refreshRenderedItems() {
+        [this.inlineGrid, this.mobileGrid].forEach(grid => {
+            grid?.rendered.forEach((div, imageData) => this.updateItemSources(div, imageData));
+        });
+        this.app.imageCache.renderCacheAllButtons();
+    }
+
+    updateItemSources(div, imageData) {
+        const url = this.app.imageCache.displayUrl(imageData);
+        const link = div.querySelector('a.pswp-item');
+        const img = link?.querySelector('img');
+        if (url && link) link.href = url;
+        if (img) this.setGridImage(link, img, imageData);
+        this.applyStorageState(div, imageData);
+    }
+
     // Create result image item (PhotoSwipe)
     createResultImageItem(imageUrl, metadata = {}) {
         const div = document.createElement('div');
@@ -724,12 +944,12 @@ class FalAIGallery {
         link.dataset.prompt = metadata.prompt || (document.getElementById('prompt')?.value || '').trim();
         link.dataset.seed = metadata.seed || '';
         link.dataset.meta = JSON.stringify(metadata.parameters || {});
-        this._assignNaturalSize(link, imageUrl);
 
         const img = document.createElement('img');
         img.src = imageUrl;
         img.alt = 'Generated image';
         img.loading = 'lazy';
+        this._sizeFromLoadedImage(link, img);
 
         // Action buttons overlay
         const actions = document.createElement('div');
@@ -742,27 +962,11 @@ class FalAIGallery {
         return div;
     }
 
-    // Update mobile gallery content
+    // Update mobile gallery content (virtualized like the inline one)
     updateMobileGallery() {
-        const container = document.getElementById('mobile-gallery-content');
-
-        if (!container) return;
+        if (!this.mobileGrid) return;
 
-        container.innerHTML = '';
-
-        if (this.savedImages.length === 0) {
-            container.innerHTML = '<div class="text-center" style="grid-column: 1/-1; padding: 2rem; color: #6b7280;">No saved images yet</div>';
-        } else {
-            this.savedImages.forEach((image, index) => {
-                const item = this.createMobileGalleryItem(image, index);
-                container.appendChild(item);
-            });
-        }
-
-        // Update like indicators after DOM update
-        requestAnimationFrame(() => {
-            this.updateGalleryLikes();
-        });
+        this.mobileGrid.setItems(this.visibleImages());
 
         // After DOM updates recalc sticky offsets
         this.updateMobileStickyHeights();
@@ -808,20 +1012,13 @@ class FalAIGallery {
             </div>
         `;
 
-        const link = document.createElement('a');
-        link.href = imageData.url;
-        link.className = 'pswp-item';
-        link.dataset.endpoint = imageData.endpoint || '';
-        link.dataset.prompt = imageData.prompt || '';
-        link.dataset.seed = imageData.seed || '';
-        link.dataset.meta = JSON.stringify(imageData.parameters || {});
-        link.dataset.imageId = imageData.timestamp;
-        this._assignNaturalSize(link, imageData.url);
+        const link = this.createPswpLink(imageData);
 
         const img = document.createElement('img');
-        img.src = imageData.url;
         img.alt = 'Saved image';
         img.loading = 'lazy';
+        this.setGridImage(link, img, imageData);
+        this.watchRemoteImage(img, imageData);
 
         // Add selection event listeners
         const checkbox = selectionOverlay.querySelector('input[type="checkbox"]');
@@ -846,6 +1043,7 @@ class FalAIGallery {
         link.appendChild(img);
         div.appendChild(selectionOverlay);
         div.appendChild(link);
+        this.applyStorageState(div, imageData);
 
         // Always add like indicator area (visible only when liked, but always clickable)
         const likeIndicator = document.createElement('div');
@@ -893,14 +1091,13 @@ class FalAIGallery {
         const promptValue = metadata.prompt || (document.getElementById('prompt')?.value || '').trim();
         const imageData = {
             url: imageUrl,
-            timestamp: Date.now(),
+            timestamp: this.nextTimestamp(),
             endpoint: metadata.endpoint || 'Unknown',
             parameters: metadata.parameters || {},
             prompt: promptValue,
             ...metadata
         };
-        this.savedImages.unshift(imageData);
-        this.saveImages();
+        this.addImage(imageData);
         this.showInlineGallery();
         this.updateMobileGallery();
         if (!silent && this.app && this.app.showNotification) {
@@ -909,39 +1106,15 @@ class FalAIGallery {
         return true;
     }
 
-    // Save images to localStorage
+    // Rewrite the whole gallery in storage (clear, import); single changes use addImage/removeImages
     saveImages() {
-        try {
-            localStorage.setItem('falai_saved_images', JSON.stringify(this.savedImages));
-        } catch (e) {
-            console.warn('Failed to save gallery (likely quota exceeded)', e);
-            // Try freeing space by removing oldest images until it fits or list empty
-            let removed = 0;
-            while (this.savedImages.length > 0) {
-                this.savedImages.pop(); // remove oldest (we unshift new ones)
-                try {
-                    localStorage.setItem('falai_saved_images', JSON.stringify(this.savedImages));
-                    if (this.app && this.app.showNotification) {
-                        this.app.showNotification(`Storage full. Removed ${removed + 1}+ old images to save new ones`, 'warning');
-                    }
-                    return;
-                } catch (err) {
-                    removed++;
-                    continue;
-                }
-            }
-            if (this.app && this.app.showNotification) {
-                this.app.showNotification('Storage full. Failed to save image.', 'error');
-            } else {
-                alert('Storage full. Failed to save image.');
-            }
-        }
+        return this.app.storage.replaceImages(this.savedImages);
     }
 
-    // Save likes to localStorage
+    // Save likes to storage
     saveLikes() {
         try {
-            localStorage.setItem('falai_liked_images', JSON.stringify(this.likedImages));
+            this.app.storage.setItem('falai_liked_images', JSON.stringify(this.likedImages));
         } catch (e) {
             console.warn('Failed to save likes', e);
         }
@@ -962,6 +1135,12 @@ class FalAIGallery {
         
         this.saveLikes();
         this.updateGalleryLikes();
+
+        // Showing only liked (or unliked) images: the item leaves the filtered list
+        if (this.app.galleryFilter.criteria.liked) {
+            this.showInlineGallery();
+            this.updateMobileGallery();
+        }
         
         return this.likedImages.includes(imageIdStr);
     }
@@ -977,15 +1156,14 @@ class FalAIGallery {
         // If it's a result image being liked, save it to gallery
         const imageData = {
             url: imageUrl,
-            timestamp: Date.now(),
+            timestamp: this.nextTimestamp(),
             endpoint: metadata.endpoint || 'Unknown',
             parameters: metadata.parameters || {},
             prompt: metadata.prompt || '',
             ...metadata
         };
         
-        this.savedImages.unshift(imageData);
-        this.saveImages();
+        this.addImage(imageData);
         this.showInlineGallery();
         this.updateMobileGallery();
         
@@ -1014,31 +1192,26 @@ class FalAIGallery {
     // Clean up old images (called by app cleanup utility)
     cleanupOldGalleryImages(daysOld = 30) {
         const cutoffDate = Date.now() - (daysOld * 24 * 60 * 60 * 1000);
-        const initialCount = this.savedImages.length;
+        const removed = this.removeImages(image => image.timestamp <= cutoffDate);
 
-        this.savedImages = this.savedImages.filter(image => image.timestamp > cutoffDate);
-
-        if (this.savedImages.length < initialCount) {
-            this.saveImages();
+        if (removed > 0) {
             this.showInlineGallery();
             this.updateMobileGallery();
         }
 
-        return initialCount - this.savedImages.length;
+        return removed;
     }
 
     // Clean base64 images from gallery
     cleanGalleryBase64() {
-        const initialCount = this.savedImages.length;
-        this.savedImages = this.savedImages.filter(image => !image.url.startsWith('data:'));
+        const removed = this.removeImages(image => image.url.startsWith('data:'));
 
-        if (this.savedImages.length < initialCount) {
-            this.saveImages();
+        if (removed > 0) {
             this.showInlineGallery();
             this.updateMobileGallery();
         }
 
-        return initialCount - this.savedImages.length;
+        return removed;
     }
 
     // Analyze gallery for storage info
@@ -1121,12 +1294,11 @@ class FalAIGallery {
         this.updateGalleryItemSelection(imageId, selected);
     }
 
-    // Update gallery item visual selection state
+    // Update gallery item visual selection state (inline and mobile copies)
     updateGalleryItemSelection(imageId, selected) {
-        const galleryItem = document.querySelector(`[data-image-id="${imageId}"]`);
-        if (galleryItem) {
+        document.querySelectorAll(`.gallery-item[data-image-id="${imageId}"]`).forEach(galleryItem => {
             galleryItem.classList.toggle('selected', selected);
-        }
+        });
     }
 
     // Update selection UI (count, buttons, etc.)
@@ -1145,6 +1317,7 @@ class FalAIGallery {
             const selectNotLikedBtn = container.querySelector('.select-not-liked-btn');
             const clearBtn = container.querySelector('.clear-selection-btn');
             const deleteBtn = container.querySelector('.bulk-delete-btn');
+            const collectionsBtn = container.querySelector('.bulk-collections-btn');
 
             // Update counter and selection mode button
             if (counter) {
@@ -1155,14 +1328,15 @@ class FalAIGallery {
             // Update buttons in selection actions row
             if (container.classList.contains('selection-actions-row')) {
                 if (deleteBtn) deleteBtn.style.display = selectionCount > 0 ? 'inline-block' : 'none';
+                if (collectionsBtn) collectionsBtn.style.display = selectionCount > 0 ? 'inline-block' : 'none';
             }
         });
     }
 
-    // Select all images
+    // Select all images (those passing the filters)
     selectAllImages() {
         this.selectedImages.clear();
-        this.savedImages.forEach(image => {
+        this.visibleImages().forEach(image => {
             this.selectedImages.add(image.timestamp);
         });
 
@@ -1200,28 +1374,17 @@ class FalAIGallery {
         this.updateSelectionUI();
     }
 
-    // Select only not-liked images (for deletion)
+    // Select only not-liked images (for deletion); covers the whole filtered gallery, not just the rendered rows
     selectNotLikedImages() {
         this.clearSelection();
 
-        // Only select images that are NOT liked
-        const galleryItems = document.querySelectorAll('.gallery-item');
-        galleryItems.forEach(item => {
-            const link = item.querySelector('a[data-image-id]');
-            if (link) {
-                const imageId = link.dataset.imageId;
-                const isLiked = this.likedImages.includes(imageId);
-
-                if (!isLiked) {
-                    const checkbox = item.querySelector('input[type="checkbox"]');
-                    if (checkbox) {
-                        checkbox.checked = true;
-                        this.selectedImages.add(Number(imageId));
-                        item.classList.add('selected');
-                    }
-                }
+        this.visibleImages().forEach(image => {
+            if (!this.likedImages.includes(String(image.timestamp))) {
+                this.selectedImages.add(image.timestamp);
             }
         });
+        this.inlineGrid?.refresh();
+        this.mobileGrid?.refresh();
 
         this.updateSelectionUI();
     }
@@ -1234,16 +1397,13 @@ class FalAIGallery {
         const confirmMessage = `Are you sure you want to delete ${selectedCount} selected image${selectedCount > 1 ? 's' : ''}? This action cannot be undone.`;
 
         if (confirm(confirmMessage)) {
-            // Remove selected images from savedImages array
-            this.savedImages = this.savedImages.filter(image =>
-                !this.selectedImages.has(image.timestamp)
-            );
+            // Remove selected images from the gallery and storage
+            this.removeImages(image => this.selectedImages.has(image.timestamp));
 
             // Clear selection
             this.selectedImages.clear();
 
-            // Save and refresh
-            this.saveImages();
+            // Refresh
             this.showInlineGallery();
             this.updateMobileGallery();
             this.updateSelectionUI();
@@ -1254,19 +1414,15 @@ class FalAIGallery {
         }
     }
 
-    // Helper: set intrinsic image size for PhotoSwipe to avoid stretch
-    _assignNaturalSize(anchorEl, url) {
-        const img = new Image();
-        img.onload = () => {
+    // Helper: set intrinsic image size for PhotoSwipe to avoid stretch, from an <img> showing the full image
+    _sizeFromLoadedImage(anchorEl, img) {
+        img.addEventListener('load', () => {
             // Only set if dimensions look valid and not already set
-            if (!anchorEl.getAttribute('data-pswp-width')) {
+            if (!anchorEl.getAttribute('data-pswp-width') && img.naturalWidth) {
                 anchorEl.setAttribute('data-pswp-width', img.naturalWidth);
                 anchorEl.setAttribute('data-pswp-height', img.naturalHeight);
             }
-        };
-        // Use decoding async for faster paint if supported
-        try { img.decoding = 'async'; } catch (e) { }
-        img.src = url;
+        }, { once: true });
     }
 }
 
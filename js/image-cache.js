@@ -0,0 +1,190 @@
+/**
+ * Local image cache: downloads gallery images from fal's CDN into the blob store so the gallery outlives
+ * expiring result URLs. Items are 'local' (blob stored), 'remote' (only the fal URL) or 'missing' (neither works).
+ */
+
+class FalAIImageCache {
+    constructor(app) {
+        this.app = app;
+        this.concurrency = 2;
+        this.active = 0;
+        this.waiting = [];
+        // timestamp -> running download, so repeated triggers share one
+        this.downloads = new Map();
+        this.cachingAll = false;
+    }
+
+    static isRemoteUrl(url) {
+        return typeof url === 'string' && /^https?:\/\//.test(url);
+    }
+
+    static stateLabels() {
+        return {
+            local: 'Stored in this browser',
+            remote: 'Only on fal.ai (may expire)',
+            missing: 'Image no longer available'
+        };
+    }
+
+    getState(image) {
+        if (image.localUrl || (typeof image.url === 'string' && image.url.startsWith('data:'))) return 'local';
+        if (FalAIImageCache.isRemoteUrl(image.url) && !image.remoteMissing) return 'remote';
+        return 'missing';
+    }
+
+    // What <img> and PhotoSwipe load: the local copy when there is one
+    displayUrl(image) {
+        return image.localUrl || image.url;
+    }
+
+    // Videos stay remote, they are too large to keep around by default
+    shouldCache(image) {
+        return image.type !== 'video' && this.getState(image) === 'remote';
+    }
+
+    // Value for a form image field: the fal URL while it works, otherwise the stored copy as a data URL
+    async inputUrl(image) {
+        if (FalAIImageCache.isRemoteUrl(image.url) && !image.remoteMissing) return image.url;
+
+        const blob = image.blobId ? await this.app.storage.getBlob(image.blobId) : null;
+        if (!blob) return image.url;
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Download into the blob store; resolves with the resulting state
+    cache(image) {
+        if (!this.shouldCache(image) || !this.app.storage.hasIndexedDB()) {
+            return Promise.resolve(this.getState(image));
+        }
+        if (this.downloads.has(image.timestamp)) return this.downloads.get(image.timestamp);
+
+        const download = this.runLimited(() => this.download(image))
+            .finally(() => this.downloads.delete(image.timestamp));
+        this.downloads.set(image.timestamp, download);
+        return download;
+    }
+
+    async runLimited(task) {
+        if (this.active >= this.concurrency) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        this.active++;
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            const next = this.waiting.shift();
+            if (next) next();
+        }
+    }
+
+    async download(image) {
+        let response;
+        try {
+            response = await fetch(image.url);
+        } catch (error) {
+            // Offline or blocked: nothing is known about the file, try again later
+            this.app.logDebug('Could not download gallery image', 'warning', { url: image.url, error: error.message });
+            return 'remote';
+        }
+
+        if (!response.ok) {
+            // fal answers expired files with 403/404
+            if ([403, 404, 410].includes(response.status) && this.app.gallery.savedImages.includes(image)) {
+                image.remoteMissing = true;
+                this.app.storage.putImage(image);
+                this.app.gallery.updateRenderedItem(image);
+            }
+            this.app.logDebug('Gallery image download failed', 'warning', { url: image.url, status: response.status });
+            return this.getState(image);
+        }
+
+        const blobId = `image-${image.timestamp}`;
+        let blob;
+        try {
+            blob = await response.blob();
+            await this.app.storage.putBlob(blobId, blob);
+        } catch (error) {
+            // Cut off mid-download or the store refused it: the fal URL still works for now
+            if (error.name === 'QuotaExceededError') this.app.storage.reportError(error);
+            this.app.logDebug('Could not store gallery image', 'warning', { url: image.url, error: error.message });
+            return 'remote';
+        }
+
+        // Deleted from the gallery while downloading: putting it back would resurrect it
+        if (!this.app.gallery.savedImages.includes(image)) {
+            this.app.storage.deleteBlob(blobId);
+            return 'local';
+        }
+
+        image.blobId = blobId;
+        image.localUrl = URL.createObjectURL(blob);
+        delete image.remoteMissing;
+        this.app.storage.putImage(image);
+        this.app.gallery.updateRenderedItem(image);
+        // The bytes are at hand, so the thumbnail does not need a second read
+        this.app.thumbnails.ensure(image, blob);
+        return 'local';
+    }
+
+    // "Cache all": download every remote-only image, one summary at the end
+    async cacheAll() {
+        if (this.cachingAll) return;
+
+        const targets = this.app.gallery.savedImages.filter(image => this.shouldCache(image));
+        if (targets.length === 0) {
+            this.app.showToast('Gallery', 'All images are already stored locally', 'info');
+            return;
+        }
+        if (!this.app.storage.hasIndexedDB()) {
+            this.app.showToast('Gallery', 'Storing images locally needs IndexedDB, which this browser blocks', 'warning');
+            return;
+        }
+
+        this.cachingAll = true;
+        const counts = { local: 0, remote: 0, missing: 0 };
+        let done = 0;
+        this.renderCacheAllButtons(done, targets.length);
+
+        try {
+            await Promise.all(targets.map(async image => {
+                counts[await this.cache(image)]++;
+                this.renderCacheAllButtons(++done, targets.length);
+            }));
+        } finally {
+            this.cachingAll = false;
+            this.renderCacheAllButtons();
+        }
+
+        const parts = [`${counts.local} stored locally`];
+        if (counts.missing) parts.push(`${counts.missing} no longer available`);
+        if (counts.remote) parts.push(`${counts.remote} could not be downloaded`);
+        this.app.showToast('Gallery', parts.join(', '), counts.local === targets.length ? 'success' : 'warning');
+    }
+
+    // Buttons show how many images are remote-only, or the progress while caching
+    renderCacheAllButtons(done = null, total = null) {
+        const remaining = this.app.gallery ? this.app.gallery.savedImages.filter(image => this.shouldCache(image)).length : 0;
+
+        document.querySelectorAll('.cache-all-btn').forEach(button => {
+            if (this.cachingAll && total !== null) {
+                button.textContent = `Caching ${done}/${total}…`;
+                button.disabled = true;
+            } else {
+                button.textContent = `Cache All (${remaining})`;
+                button.disabled = false;
+            }
+            button.classList.toggle('hidden', !this.cachingAll && remaining === 0);
+        });
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIImageCache;
+}
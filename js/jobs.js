@@ -0,0 +1,322 @@
+/**
+ * Job manager: tracks every in-flight fal queue request with its own polling timer, status entry and cancel button.
+ */
+
+class FalAIJobManager {
+    constructor(app) {
+        this.app = app;
+        this.jobs = new Map();
+        this.nextJobNumber = 1;
+
+        // How long finished entries stay visible in the status panel
+        this.completedEntryTimeout = 4000;
+        this.failedEntryTimeout = 8000;
+
+        // fal keeps queued requests and their results for a limited time only;
+        // jobs restored after this window are marked expired instead of being polled
+        this.retentionWindow = 24 * 60 * 60 * 1000;
+
+        // Polling fallback (used when the status stream is unavailable) backs off exponentially
+        this.pollBaseDelay = 1000;
+        this.pollMaxDelay = 8000;
+    }
+
+    // Create a job for a payload that is about to be submitted
+    createJob(endpointId, payload = {}) {
+        const job = {
+            id: `job-${Date.now()}-${this.nextJobNumber++}`,
+            endpointId,
+            payload,
+            requestId: null,
+            statusUrl: null,
+            responseUrl: null,
+            cancelUrl: null,
+            status: 'SUBMITTING',
+            message: 'Submitting request...',
+            progress: 0,
+            createdAt: Date.now(),
+            submittedAt: null,
+            finishedAt: null,
+            startedAt: null,
+            logs: [],
+            logKeys: new Set(),
+            metrics: null,
+            pollTimer: null,
+            pollAttempt: 0,
+            pollStopped: false,
+            stream: null,
+            isChecking: false
+        };
+
+        // Resolves with the final status once the job finishes (used by batch runs)
+        job.done = new Promise(resolve => {
+            job.resolveDone = resolve;
+        });
+
+        this.jobs.set(job.id, job);
+        this.renderJob(job);
+        this.updatePanelVisibility();
+
+        return job;
+    }
+
+    getJob(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    findByRequestId(requestId) {
+        for (const job of this.jobs.values()) {
+            if (job.requestId === requestId) return job;
+        }
+        return null;
+    }
+
+    // Jobs that have not reached a terminal state yet
+    getActiveJobs() {
+        return Array.from(this.jobs.values()).filter(job => !this.isFinished(job));
+    }
+
+    isFinished(job) {
+        return ['COMPLETED', 'FAILED', 'CANCELLED', 'EXPIRED'].includes(job.status);
+    }
+
+    isExpired(job, now = Date.now()) {
+        const submittedAt = job.submittedAt || job.createdAt;
+        return now - submittedAt > this.retentionWindow;
+    }
+
+    // Store the queue URLs returned by the submission request
+    attachQueueResponse(job, queueResponse) {
+        job.requestId = queueResponse.request_id;
+        job.statusUrl = queueResponse.status_url;
+        job.responseUrl = queueResponse.response_url;
+        job.cancelUrl = queueResponse.cancel_url || null;
+        job.submittedAt = job.submittedAt || Date.now();
+        this.updateJob(job, { status: 'IN_QUEUE', message: 'Waiting in queue...', progress: 5 });
+    }
+
+    // Delay before the next poll: doubles on every unchanged poll up to pollMaxDelay
+    getPollDelay(job) {
+        const delay = this.pollBaseDelay * Math.pow(2, job.pollAttempt);
+        return Math.min(delay, this.pollMaxDelay);
+    }
+
+    startPolling(job, callback) {
+        this.stopPolling(job);
+
+        const schedule = () => {
+            job.pollTimer = setTimeout(async () => {
+                job.pollTimer = null;
+                // Skip a tick if the previous check is still in flight
+                if (!job.isChecking) {
+                    job.isChecking = true;
+                    try {
+                        await callback(job);
+                    } finally {
+                        job.isChecking = false;
+                    }
+                }
+
+                if (this.isFinished(job) || !this.jobs.has(job.id) || job.pollStopped) return;
+                job.pollAttempt++;
+                schedule();
+            }, this.getPollDelay(job));
+        };
+
+        job.pollStopped = false;
+        schedule();
+    }
+
+    // Stops whichever status transport is active for the job (stream or polling)
+    stopPolling(job) {
+        job.pollStopped = true;
+        if (job.pollTimer) {
+            clearTimeout(job.pollTimer);
+            job.pollTimer = null;
+        }
+        if (job.stream) {
+            job.stream.stop();
+            job.stream = null;
+        }
+    }
+
+    updateJob(job, changes = {}) {
+        // Any status change means the job is moving again, poll quickly
+        if (changes.status && changes.status !== job.status) {
+            job.pollAttempt = 0;
+        }
+        Object.assign(job, changes);
+        this.updateJobEntry(job);
+    }
+
+    // Move a job to a terminal state and schedule removal of its entry
+    finishJob(job, status, message) {
+        if (!job || this.isFinished(job)) return;
+
+        this.stopPolling(job);
+        this.updateJob(job, {
+            status,
+            message: message || job.message,
+            progress: status === 'COMPLETED' ? 100 : job.progress,
+            finishedAt: Date.now()
+        });
+
+        const timeout = status === 'FAILED' || status === 'EXPIRED' ? this.failedEntryTimeout : this.completedEntryTimeout;
+        setTimeout(() => this.removeJob(job.id), timeout);
+
+        this.app.onJobFinished(job);
+        job.resolveDone(status);
+    }
+
+    removeJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        this.stopPolling(job);
+        this.jobs.delete(jobId);
+
+        const entry = this.getJobEntry(jobId);
+        if (entry) entry.remove();
+
+        this.updatePanelVisibility();
+    }
+
+    getJobEntry(jobId) {
+        return document.querySelector(`.job-entry[data-job-id="${jobId}"]`);
+    }
+
+    renderJob(job) {
+        const list = document.getElementById('job-list');
+        if (!list) return;
+
+        const entry = document.createElement('div');
+        entry.className = 'status-container job-entry';
+        entry.dataset.jobId = job.id;
+
+        const prompt = (job.payload.prompt || '').trim();
+        entry.innerHTML = `
+            <div class="status-content">
+                <div class="status-title"></div>
+                <div class="job-prompt"></div>
+                <div class="status-message"></div>
+                <div class="status-progress">
+                    <div class="progress-bar">
+                        <div class="progress-fill"></div>
+                    </div>
+                </div>
+                <div class="job-metrics hidden"></div>
+                <pre class="job-log hidden"></pre>
+            </div>
+            <button type="button" class="status-cancel-btn btn secondary small">Cancel</button>
+        `;
+
+        entry.querySelector('.status-title').textContent = job.endpointId ? this.app.getEndpointName(job.endpointId) : 'Generation';
+        const promptEl = entry.querySelector('.job-prompt');
+        promptEl.textContent = prompt.length > 80 ? prompt.slice(0, 80) + '…' : prompt;
+        promptEl.title = prompt;
+
+        entry.querySelector('.status-cancel-btn').addEventListener('click', () => {
+            this.app.cancelGeneration(job.id);
+        });
+
+        // Newest jobs go on top
+        list.insertBefore(entry, list.firstChild);
+        this.updateJobEntry(job);
+    }
+
+    updateJobEntry(job) {
+        const entry = this.getJobEntry(job.id);
+        if (!entry) return;
+
+        entry.querySelector('.status-message').textContent = job.message;
+        entry.querySelector('.progress-fill').style.width = `${job.progress}%`;
+
+        entry.classList.toggle('status-success', job.status === 'COMPLETED');
+        entry.classList.toggle('status-error', job.status === 'FAILED' || job.status === 'EXPIRED');
+        entry.classList.toggle('status-cancelled', job.status === 'CANCELLED');
+
+        // Cancel only makes sense while the job is still queued or running
+        const cancelBtn = entry.querySelector('.status-cancel-btn');
+        cancelBtn.classList.toggle('hidden', this.isFinished(job));
+        cancelBtn.disabled = !job.requestId;
+    }
+
+    // Merge log lines from a status update; fal may resend lines it already sent
+    appendLogs(job, logs = []) {
+        const added = [];
+        for (const log of logs) {
+            const key = `${log.timestamp}|${log.message}`;
+            if (job.logKeys.has(key)) continue;
+            job.logKeys.add(key);
+            job.logs.push(log);
+            added.push(log);
+        }
+
+        const logEl = this.getJobEntry(job.id)?.querySelector('.job-log');
+        if (!logEl || added.length === 0) return added;
+
+        // Keep following the tail unless the user scrolled up to read
+        const atBottom = logEl.scrollTop + logEl.clientHeight >= logEl.scrollHeight - 4;
+        for (const log of added) {
+            const line = document.createElement('div');
+            line.className = `job-log-line log-${(log.level || 'info').toLowerCase()}`;
+            line.textContent = log.message;
+            logEl.appendChild(line);
+        }
+        logEl.classList.remove('hidden');
+        if (atBottom) logEl.scrollTop = logEl.scrollHeight;
+
+        return added;
+    }
+
+    setMetrics(job, metrics) {
+        job.metrics = metrics;
+
+        const metricsEl = this.getJobEntry(job.id)?.querySelector('.job-metrics');
+        if (!metricsEl) return;
+
+        const text = FalAIJobManager.formatMetrics(metrics);
+        metricsEl.textContent = text;
+        metricsEl.classList.toggle('hidden', !text);
+    }
+
+    static formatMetrics(metrics) {
+        if (!metrics) return '';
+
+        const seconds = (value) => `${Number(value).toFixed(2)}s`;
+        const parts = [];
+        if (metrics.queue_wait != null) parts.push(`Queue ${seconds(metrics.queue_wait)}`);
+        if (metrics.inference_time != null) parts.push(`Inference ${seconds(metrics.inference_time)}`);
+        if (metrics.total_time != null) parts.push(`Total ${seconds(metrics.total_time)}`);
+        return parts.join(' · ');
+    }
+
+    updatePanelVisibility() {
+        const statusPanel = document.getElementById('generation-status');
+        if (!statusPanel) return;
+
+        const banner = document.getElementById('status-banner');
+        const bannerVisible = banner && !banner.classList.contains('hidden');
+
+        if (this.jobs.size > 0 || bannerVisible) {
+            statusPanel.classList.remove('hidden');
+            document.getElementById('no-images-placeholder').classList.add('hidden');
+        } else {
+            statusPanel.classList.add('hidden');
+        }
+
+        const listHeader = statusPanel.querySelector('.job-list-header');
+        if (listHeader) listHeader.classList.toggle('hidden', this.jobs.size === 0);
+
+        const counter = document.getElementById('job-count');
+        if (counter) {
+            const active = this.getActiveJobs().length;
+            counter.textContent = active > 0 ? `${active} running` : '';
+        }
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIJobManager;
+}
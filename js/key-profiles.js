@@ -0,0 +1,322 @@
+/**
+ * API key profiles: several labelled fal.ai keys with quick switching, each with an optional default endpoint.
+ * The active profile's key is mirrored into app.apiKey; jobs remember the profile they were submitted with.
+ */
+
+class FalAIKeyProfiles {
+    constructor(app) {
+        this.app = app;
+        // [{ id, label, key, defaultEndpoint, encryptedKey? }]; key is '' while the key vault is locked
+        this.profiles = this.load();
+        this.activeId = this.app.storage.getItem('falai_active_profile');
+        this.editingId = null;
+
+        // The single key from before profiles existed becomes the first profile
+        if (this.profiles.length === 0 && app.apiKey) {
+            this.profiles.push({ id: 'profile-default', label: 'Default', key: app.apiKey, defaultEndpoint: '' });
+            this.save();
+        }
+
+        if (!this.getProfile(this.activeId)) {
+            this.activeId = this.profiles[0]?.id || null;
+        }
+        this.app.apiKey = this.getActive()?.key || app.apiKey;
+    }
+
+    // "fal-key-abcdef123456" -> "…3456"
+    static maskKey(key) {
+        return key ? `…${key.slice(-4)}` : 'no key';
+    }
+
+    load() {
+        try {
+            const profiles = JSON.parse(this.app.storage.getItem('falai_key_profiles') || '[]');
+            return Array.isArray(profiles) ? profiles : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    save() {
+        if (this.app.keyVault.isEnabled()) {
+            this.app.keyVault.saveProfiles(this.profiles);
+            return;
+        }
+        this.app.saveWithStorageCheck('falai_key_profiles', this.profiles);
+    }
+
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    getActive() {
+        return this.getProfile(this.activeId);
+    }
+
+    getKey(id) {
+        return this.getProfile(id)?.key || null;
+    }
+
+    // Recorded with each gallery item so it shows which key paid for it
+    getTag(id = this.activeId) {
+        const profile = this.getProfile(id);
+        return profile ? { id: profile.id, label: profile.label } : null;
+    }
+
+    activate(id, { applyDefaultEndpoint = true } = {}) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        this.activeId = id;
+        this.app.apiKey = profile.key;
+        this.app.storage.setItem('falai_active_profile', id);
+        // With encryption on, the key only exists in memory
+        if (!this.app.keyVault.isEnabled()) this.app.storage.setItem('falai_api_key', profile.key);
+        this.render();
+
+        if (applyDefaultEndpoint && profile.defaultEndpoint && this.app.endpoints.has(profile.defaultEndpoint)) {
+            this.app.selectEndpoint(profile.defaultEndpoint);
+            document.getElementById('endpoint-dropdown').value = profile.defaultEndpoint;
+            this.app.updateDeleteButtonVisibility(profile.defaultEndpoint);
+            this.app.storage.setItem('falai_last_endpoint', profile.defaultEndpoint);
+        }
+    }
+
+    bindEvents() {
+        for (const id of ['profile-switcher', 'mobile-profile-switcher']) {
+            const select = document.getElementById(id);
+            select.addEventListener('change', () => {
+                this.activate(select.value);
+                this.app.showToast('API key', `Using ${this.getActive().label}`, 'success');
+            });
+        }
+
+        document.getElementById('api-key-btn').addEventListener('click', () => this.openModal());
+        document.getElementById('new-key-profile').addEventListener('click', () => this.editProfile(null));
+        document.getElementById('save-api-key').addEventListener('click', () => this.saveForm());
+        document.getElementById('cancel-api-key').addEventListener('click', () => {
+            document.getElementById('api-key-modal').classList.add('hidden');
+        });
+
+        this.render();
+    }
+
+    // Editing needs the decrypted keys
+    async openModal() {
+        if (!await this.app.keyVault.requestUnlock()) return;
+
+        this.editProfile(this.activeId);
+        document.getElementById('api-key-modal').classList.remove('hidden');
+    }
+
+    // Fill the form with a profile, or clear it for a new one when id is null
+    editProfile(id) {
+        const profile = this.getProfile(id);
+        this.editingId = profile ? profile.id : null;
+
+        document.getElementById('api-key-label').value = profile?.label || '';
+        document.getElementById('api-key-input').value = profile?.key || '';
+
+        const endpointSelect = document.getElementById('api-key-default-endpoint');
+        endpointSelect.innerHTML = '<option value="">No default endpoint</option>';
+        for (const [key, endpoint] of this.app.endpoints) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = endpoint.metadata.endpointId;
+            endpointSelect.appendChild(option);
+        }
+        endpointSelect.value = profile?.defaultEndpoint && this.app.endpoints.has(profile.defaultEndpoint)
+            ? profile.defaultEndpoint
+            : '';
+
+        document.getElementById('api-key-modal-title').textContent = profile ? `Edit "${profile.label}"` : 'New API key profile';
+        this.renderList();
+    }
+
+    saveForm() {
+        const key = document.getElementById('api-key-input').value.trim();
+        if (!key) {
+            this.app.showToast('Warning', 'API key cannot be empty', 'warning');
+            return;
+        }
+
+        const label = document.getElementById('api-key-label').value.trim() || `Profile ${this.profiles.length + 1}`;
+        const defaultEndpoint = document.getElementById('api-key-default-endpoint').value;
+
+        let profile = this.getProfile(this.editingId);
+        if (profile) {
+            Object.assign(profile, { label, key, defaultEndpoint });
+        } else {
+            profile = { id: `profile-${Date.now()}`, label, key, defaultEndpoint };
+            this.profiles.push(profile);
+        }
+        this.save();
+
+        // Saving a profile makes it the one in use, like saving the single key used to
+        this.activate(profile.id, { applyDefaultEndpoint: false });
+        document.getElementById('api-key-modal').classList.add('hidden');
+        this.app.showToast('Success', `API key "${label}" saved`, 'success');
+    }
+
+    deleteProfile(id) {
+        const profile = this.getProfile(id);
+        if (!profile || !confirm(`Delete API key profile "${profile.label}"?`)) return;
+
+        this.profiles = this.profiles.filter(candidate => candidate !== profile);
+        this.save();
+
+        if (this.activeId === id) {
+            const next = this.profiles[0];
+            if (next) {
+                this.activate(next.id, { applyDefaultEndpoint: false });
+            } else {
+                this.activeId = null;
+                this.app.apiKey = '';
+                this.app.storage.removeItem('falai_active_profile');
+                this.app.storage.removeItem('falai_api_key');
+            }
+        }
+
+        this.editProfile(this.editingId === id ? this.activeId : this.editingId);
+        this.render();
+    }
+
+    // Profile list inside the key modal
+    renderList() {
+        const list = document.getElementById('key-profile-list');
+        list.innerHTML = '';
+
+        for (const profile of this.profiles) {
+            const row = document.createElement('div');
+            row.className = 'key-profile-row';
+            row.classList.toggle('active', profile.id === this.activeId);
+            row.classList.toggle('editing', profile.id === this.editingId);
+            row.innerHTML = `
+                <span class="key-profile-label"></span>
+                <span class="key-profile-meta"></span>
+                <button type="button" class="btn secondary small key-profile-use" title="Use this key"><i class="ph ph-check"></i></button>
+                <button type="button" class="btn secondary small key-profile-delete" title="Delete profile"><i class="ph ph-trash"></i></button>
+            `;
+            row.querySelector('.key-profile-label').textContent = profile.label;
+            const endpoint = this.app.endpoints.get(profile.defaultEndpoint);
+            row.querySelector('.key-profile-meta').textContent = [
+                FalAIKeyProfiles.maskKey(profile.key),
+                endpoint ? endpoint.metadata.endpointId : null
+            ].filter(Boolean).join(' · ');
+            row.querySelector('.key-profile-use').disabled = profile.id === this.activeId;
+
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('.key-profile-use')) {
+                    this.activate(profile.id);
+                    this.renderList();
+                } else if (e.target.closest('.key-profile-delete')) {
+                    this.deleteProfile(profile.id);
+                } else {
+                    this.editProfile(profile.id);
+                }
+            });
+
+            list.appendChild(row);
+        }
+
+        list.classList.toggle('hidden', this.profiles.length === 0);
+    }
+
+    // Header and mobile menu switchers; hidden until there is something to switch between
+    render() {
+        for (const id of ['profile-switcher', 'mobile-profile-switcher']) {
+            const select = document.getElementById(id);
+            if (!select) continue;
+
+            select.innerHTML = '';
+            for (const profile of this.profiles) {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.label;
+                select.appendChild(option);
+            }
+            select.value = this.activeId || '';
+            select.classList.toggle('hidden', this.profiles.length < 2);
+        }
+    }
+
+    // Keys leave the browser only when the user asks for it: mode is 'omit', 'plain',
+    // or 'encrypted' (the stored ciphertext, readable with the vault passphrase)
+    export(mode = 'omit') {
+        return {
+            activeId: this.activeId,
+            profiles: this.profiles.map(profile => {
+                const { encryptedKey, ...rest } = profile;
+                if (mode === 'plain') return { ...rest };
+                if (mode === 'encrypted') return { ...rest, key: '', encryptedKey: encryptedKey || null };
+                return { ...rest, key: '' };
+            })
+        };
+    }
+
+    // Merge by id; profiles exported without keys keep the key this browser already has.
+    // Older exports only carry a single apiKey, which becomes a profile of its own.
+    // Encrypted keys are decrypted with the exporting browser's passphrase (vaultMeta)
+    async import(data, legacyKey = null, vaultMeta = null) {
+        const vault = this.app.keyVault;
+        let incoming = Array.isArray(data?.profiles) ? data.profiles.map(profile => ({ ...profile })) : [];
+
+        if (incoming.some(profile => profile?.encryptedKey)) {
+            const cryptoKey = await vault.openImported(vaultMeta);
+            for (const profile of incoming) {
+                if (!profile?.encryptedKey) continue;
+                profile.key = cryptoKey ? await FalAIKeyVault.decryptWith(cryptoKey, profile.encryptedKey) : '';
+            }
+        }
+        for (const profile of incoming) {
+            if (profile) delete profile.encryptedKey;
+        }
+
+        // New keys can only be stored once this browser's own vault is open
+        const bringsKeys = !!legacyKey || incoming.some(profile => profile?.key);
+        if (bringsKeys && !await vault.requestUnlock()) {
+            incoming = incoming.map(profile => ({ ...profile, key: '' }));
+            legacyKey = null;
+            this.app.showToast('Warning', 'API keys were not imported because the keys are locked', 'warning');
+        }
+
+        for (const profile of incoming) {
+            if (!profile || typeof profile.id !== 'string') continue;
+            const existing = this.getProfile(profile.id);
+            if (existing) {
+                existing.label = profile.label || existing.label;
+                existing.defaultEndpoint = profile.defaultEndpoint || '';
+                if (profile.key) existing.key = profile.key;
+            } else {
+                this.profiles.push({
+                    id: profile.id,
+                    label: profile.label || 'Imported',
+                    key: profile.key || '',
+                    defaultEndpoint: profile.defaultEndpoint || ''
+                });
+            }
+        }
+
+        let activateId = incoming.length && this.getKey(data.activeId) ? data.activeId : this.activeId;
+        if (legacyKey && !incoming.length) {
+            let profile = this.profiles.find(candidate => candidate.key === legacyKey);
+            if (!profile) {
+                profile = { id: `profile-${Date.now()}`, label: 'Imported', key: legacyKey, defaultEndpoint: '' };
+                this.profiles.push(profile);
+            }
+            activateId = profile.id;
+        }
+
+        this.save();
+        if (this.getProfile(activateId)) {
+            this.activate(activateId, { applyDefaultEndpoint: false });
+        } else {
+            this.render();
+        }
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIKeyProfiles;
+}
@@ -0,0 +1,343 @@
+/**
+ * Key vault: optional encryption at rest for stored API keys (PBKDF2-derived AES-GCM key).
+ * The passphrase is asked once per page session; locking drops the derived key and every decrypted API key from memory.
+ */
+
+class FalAIKeyVault {
+    constructor(app) {
+        this.app = app;
+        // { version, salt, iterations, check: { iv, data } } - no secrets, only what is needed to re-derive and verify
+        this.meta = this.load();
+        this.cryptoKey = null;
+        this.unlockCallbacks = [];
+        this.saving = Promise.resolve();
+        this.pendingPrompt = null;
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: FalAIKeyVault.fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    static async encryptWith(cryptoKey, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(text));
+        return { iv: FalAIKeyVault.toBase64(iv), data: FalAIKeyVault.toBase64(data) };
+    }
+
+    static async decryptWith(cryptoKey, sealed) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: FalAIKeyVault.fromBase64(sealed.iv) },
+            cryptoKey,
+            FalAIKeyVault.fromBase64(sealed.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    // Derive from the passphrase and prove it against the stored check value; AES-GCM fails on a wrong key
+    static async open(meta, passphrase) {
+        const cryptoKey = await FalAIKeyVault.deriveKey(passphrase, meta.salt, meta.iterations);
+        try {
+            await FalAIKeyVault.decryptWith(cryptoKey, meta.check);
+        } catch (e) {
+            throw new Error('Wrong passphrase');
+        }
+        return cryptoKey;
+    }
+
+    static isVaultMeta(meta) {
+        return !!meta && typeof meta.salt === 'string' && Number.isInteger(meta.iterations) &&
+            !!meta.check && typeof meta.check.iv === 'string' && typeof meta.check.data === 'string';
+    }
+
+    load() {
+        try {
+            const meta = JSON.parse(this.app.storage.getItem('falai_key_vault') || 'null');
+            return FalAIKeyVault.isVaultMeta(meta) ? meta : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    isEnabled() {
+        return !!this.meta;
+    }
+
+    isLocked() {
+        return this.isEnabled() && !this.cryptoKey;
+    }
+
+    whenUnlocked(callback) {
+        if (!this.isLocked()) {
+            callback();
+        } else {
+            this.unlockCallbacks.push(callback);
+        }
+    }
+
+    async enable(passphrase) {
+        const salt = FalAIKeyVault.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        // OWASP's PBKDF2-SHA256 figure; vaults keep the count they were made with, so raising it is safe
+        const iterations = 600000;
+        const cryptoKey = await FalAIKeyVault.deriveKey(passphrase, salt, iterations);
+        const check = await FalAIKeyVault.encryptWith(cryptoKey, 'falai-key-vault');
+
+        this.meta = { version: 1, salt, iterations, check };
+        this.cryptoKey = cryptoKey;
+        this.app.saveWithStorageCheck('falai_key_vault', this.meta);
+
+        // Rewrite the profiles encrypted and drop every plaintext copy of the key
+        await this.saveProfiles(this.app.keyProfiles.profiles);
+        this.app.storage.removeItem('falai_api_key');
+        this.render();
+    }
+
+    disable() {
+        if (this.isLocked()) return;
+
+        this.meta = null;
+        this.cryptoKey = null;
+        this.app.storage.removeItem('falai_key_vault');
+        for (const profile of this.app.keyProfiles.profiles) delete profile.encryptedKey;
+
+        this.app.keyProfiles.save();
+        const active = this.app.keyProfiles.getActive();
+        if (active) this.app.storage.setItem('falai_api_key', active.key);
+        this.render();
+    }
+
+    async unlock(passphrase) {
+        const cryptoKey = await FalAIKeyVault.open(this.meta, passphrase);
+
+        for (const profile of this.app.keyProfiles.profiles) {
+            if (profile.encryptedKey) {
+                profile.key = await FalAIKeyVault.decryptWith(cryptoKey, profile.encryptedKey);
+            }
+        }
+        this.cryptoKey = cryptoKey;
+        this.app.apiKey = this.app.keyProfiles.getActive()?.key || '';
+        this.render();
+        this.app.keyProfiles.render();
+
+        const callbacks = this.unlockCallbacks.splice(0);
+        callbacks.forEach(callback => callback());
+    }
+
+    lock() {
+        if (!this.isEnabled()) return;
+
+        const running = this.app.jobManager.getActiveJobs().length;
+        if (running > 0 && !confirm(`${running} job(s) are still running and will not be able to fetch their results while the keys are locked. Lock anyway?`)) {
+            return;
+        }
+
+        this.cryptoKey = null;
+        for (const profile of this.app.keyProfiles.profiles) profile.key = '';
+        this.app.apiKey = '';
+        document.getElementById('api-key-input').value = '';
+        document.getElementById('api-key-modal').classList.add('hidden');
+        this.render();
+        this.app.showToast('Locked', 'API keys removed from memory', 'success');
+    }
+
+    // Persist profiles with keys encrypted. Locked profiles keep their stored ciphertext.
+    // Saves are chained so a slow encryption cannot land after a newer save
+    saveProfiles(profiles) {
+        this.saving = this.saving.then(async () => {
+            const stored = [];
+            for (const profile of profiles) {
+                if (profile.key && this.cryptoKey) {
+                    profile.encryptedKey = await FalAIKeyVault.encryptWith(this.cryptoKey, profile.key);
+                }
+                stored.push({ ...profile, key: '', encryptedKey: profile.encryptedKey || null });
+            }
+            this.app.saveWithStorageCheck('falai_key_profiles', stored);
+        }).catch(error => {
+            this.app.showToast('Error', `Could not save encrypted keys: ${error.message}`, 'error');
+        });
+        return this.saving;
+    }
+
+    // Ask for the passphrase until it is right or the user gives up; resolves true when unlocked
+    async requestUnlock() {
+        while (this.isLocked()) {
+            const passphrase = await this.askPassphrase({
+                title: 'Unlock API keys',
+                message: 'Enter the passphrase your API keys are encrypted with.'
+            });
+            if (passphrase === null) return false;
+
+            try {
+                await this.unlock(passphrase);
+            } catch (error) {
+                this.app.showToast('Error', error.message, 'error');
+            }
+        }
+        return true;
+    }
+
+    // Derive the key of another browser's vault (settings import); null when cancelled
+    async openImported(meta) {
+        if (!FalAIKeyVault.isVaultMeta(meta)) return null;
+
+        while (true) {
+            const passphrase = await this.askPassphrase({
+                title: 'Encrypted API keys',
+                message: 'The imported file contains encrypted API keys. Enter the passphrase they were exported with, or cancel to import without keys.'
+            });
+            if (passphrase === null) return null;
+
+            try {
+                return await FalAIKeyVault.open(meta, passphrase);
+            } catch (error) {
+                this.app.showToast('Error', error.message, 'error');
+            }
+        }
+    }
+
+    // Passphrase modal as a promise; resolves null on cancel
+    askPassphrase({ title, message, confirmation = false }) {
+        const modal = document.getElementById('key-vault-modal');
+        const input = document.getElementById('key-vault-passphrase');
+        const confirmInput = document.getElementById('key-vault-confirm');
+
+        // A second request replaces the first, which counts as cancelled
+        if (this.pendingPrompt) this.pendingPrompt(null);
+
+        document.getElementById('key-vault-title').textContent = title;
+        document.getElementById('key-vault-message').textContent = message;
+        input.value = '';
+        confirmInput.value = '';
+        confirmInput.classList.toggle('hidden', !confirmation);
+        modal.classList.remove('hidden');
+        input.focus();
+
+        return new Promise(resolve => {
+            this.pendingPrompt = (value) => {
+                this.pendingPrompt = null;
+                modal.classList.add('hidden');
+                input.value = '';
+                confirmInput.value = '';
+                resolve(value);
+            };
+        });
+    }
+
+    submitPassphrase() {
+        if (!this.pendingPrompt) return;
+
+        const passphrase = document.getElementById('key-vault-passphrase').value;
+        const confirmInput = document.getElementById('key-vault-confirm');
+        if (!passphrase) {
+            this.app.showToast('Warning', 'Passphrase cannot be empty', 'warning');
+            return;
+        }
+        if (!confirmInput.classList.contains('hidden') && confirmInput.value !== passphrase) {
+            this.app.showToast('Warning', 'Passphrases do not match', 'warning');
+            return;
+        }
+        this.pendingPrompt(passphrase);
+    }
+
+    bindEvents() {
+        document.getElementById('key-vault-submit').addEventListener('click', () => this.submitPassphrase());
+        document.getElementById('key-vault-cancel').addEventListener('click', () => {
+            if (this.pendingPrompt) this.pendingPrompt(null);
+        });
+        for (const id of ['key-vault-passphrase', 'key-vault-confirm']) {
+            document.getElementById(id).addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.submitPassphrase();
+            });
+        }
+
+        document.getElementById('key-lock-btn').addEventListener('click', () => this.toggleLock());
+        document.getElementById('mobile-key-lock-btn').addEventListener('click', () => {
+            this.app.closeMobileMenu();
+            this.toggleLock();
+        });
+
+        document.getElementById('key-vault-toggle').addEventListener('click', () => this.toggleEncryption());
+
+        this.render();
+    }
+
+    toggleLock() {
+        if (this.isLocked()) {
+            this.requestUnlock();
+        } else {
+            this.lock();
+        }
+    }
+
+    async toggleEncryption() {
+        if (this.isEnabled()) {
+            if (!confirm('Store your API keys unencrypted again?')) return;
+            this.disable();
+            this.app.showToast('Success', 'API keys are no longer encrypted', 'success');
+            return;
+        }
+
+        const passphrase = await this.askPassphrase({
+            title: 'Encrypt API keys',
+            message: 'Choose a passphrase. You will be asked for it once per session; it cannot be recovered if forgotten.',
+            confirmation: true
+        });
+        if (passphrase === null) return;
+
+        try {
+            await this.enable(passphrase);
+            this.app.showToast('Success', 'API keys are now encrypted', 'success');
+        } catch (error) {
+            this.app.showToast('Error', `Could not encrypt keys: ${error.message}`, 'error');
+        }
+    }
+
+    // Lock buttons only appear once encryption is on; the key modal shows the encryption switch
+    render() {
+        const enabled = this.isEnabled();
+        const locked = this.isLocked();
+
+        const lockBtn = document.getElementById('key-lock-btn');
+        if (lockBtn) {
+            lockBtn.classList.toggle('hidden', !enabled);
+            lockBtn.title = locked ? 'Unlock API keys' : 'Lock API keys';
+            lockBtn.innerHTML = `<i class="ph ${locked ? 'ph-lock' : 'ph-lock-open'}"></i>`;
+        }
+
+        const mobileLockBtn = document.getElementById('mobile-key-lock-btn');
+        if (mobileLockBtn) {
+            mobileLockBtn.classList.toggle('hidden', !enabled);
+            mobileLockBtn.textContent = locked ? 'Unlock API Keys' : 'Lock API Keys';
+        }
+
+        const toggle = document.getElementById('key-vault-toggle');
+        if (toggle) {
+            toggle.innerHTML = enabled
+                ? '<i class="ph ph-lock-open"></i> Remove encryption'
+                : '<i class="ph ph-lock-key"></i> Encrypt with passphrase';
+        }
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIKeyVault;
+}
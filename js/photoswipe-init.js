@@ -20,6 +20,64 @@ function initLightbox() {
         padding: { top: 60, bottom: 60, left: 16, right: 16 }
     });
 
+    // Saved galleries only render the rows in view, so their slides come from the grid's (filtered) list
+    // (snapshotted when the lightbox opens) instead of the links in the DOM
+    const savedSlides = (dataSource) => {
+        if (!dataSource || !dataSource.gallery) return null;
+        if (!dataSource.images) {
+            const grid = window.falGallery.gridFor(dataSource.gallery);
+            if (!grid) return null;
+            dataSource.images = grid.items.slice();
+        }
+        return dataSource.images;
+    };
+
+    lightbox.addFilter('clickedIndex', (clickedIndex, e) => {
+        const grid = window.falGallery.gridFor(e.currentTarget);
+        const imageId = e.target.closest('a.pswp-item')?.dataset.imageId;
+        if (!grid || clickedIndex < 0 || !imageId) return clickedIndex;
+        return grid.items.findIndex(image => String(image.timestamp) === imageId);
+    });
+
+    lightbox.addFilter('numItems', (numItems, dataSource) => {
+        const images = savedSlides(dataSource);
+        return images ? images.length : numItems;
+    });
+
+    lightbox.addFilter('itemData', (itemData, index) => {
+        const dataSource = lightbox.options.dataSource;
+        const images = savedSlides(dataSource);
+        return images && images[index] ? window.falGallery.slideData(dataSource.gallery, images[index]) : itemData;
+    });
+
+    // Zoom back into the grid item, which may have been rendered only after the slide was created
+    lightbox.addFilter('thumbEl', (thumbEl, itemData) => {
+        const dataSource = lightbox.options.dataSource;
+        const imageId = itemData.element?.dataset.imageId;
+        if (!imageId || !savedSlides(dataSource)) return thumbEl;
+        return dataSource.gallery.querySelector(`a.pswp-item[data-image-id="${imageId}"] img`) || thumbEl;
+    });
+
+    lightbox.on('close', () => {
+        const dataSource = lightbox.options.dataSource;
+        const imageId = lightbox.pswp.currSlide?.data.element?.dataset.imageId;
+        if (imageId && savedSlides(dataSource)) {
+            window.falGallery.revealImage(dataSource.gallery, imageId);
+        }
+    });
+
+    // Items saved before sizes were stored: take the size from the full image once it has loaded
+    lightbox.on('loadComplete', ({ content, slide }) => {
+        const img = content.element;
+        if (!slide || slide.width || !img || !img.naturalWidth) return;
+        slide.width = content.width = img.naturalWidth;
+        slide.height = content.height = img.naturalHeight;
+        slide.calculateSize();
+        slide.zoomAndPanToInitial();
+        slide.applyCurrentZoomPan();
+        slide.updateContentSize(true);
+    });
+
     lightbox.on('uiRegister', function () {
 
         // Like button
@@ -303,8 +361,7 @@ function initLightbox() {
 
                             if (imageId) {
                                 // Delete from saved gallery
-                                gallery.savedImages = gallery.savedImages.filter(img => String(img.timestamp) !== String(imageId));
-                                gallery.saveImages();
+                                gallery.removeImages(img => String(img.timestamp) === String(imageId));
                                 gallery.showInlineGallery();
                                 gallery.updateMobileGallery();
                             }
@@ -501,8 +558,7 @@ function initLightbox() {
 
                         if (imageId) {
                             // Delete from saved gallery
-                            gallery.savedImages = gallery.savedImages.filter(img => String(img.timestamp) !== String(imageId));
-                            gallery.saveImages();
+                            gallery.removeImages(img => String(img.timestamp) === String(imageId));
                             gallery.showInlineGallery();
                             gallery.updateMobileGallery();
                         }
@@ -0,0 +1,292 @@
+/**
+ * Named presets: full form states saved under a name per endpoint, next to the single auto-saved state.
+ * A preset can be exported on its own as a small JSON file and merged into another browser.
+ */
+
+class FalAIPresetManager {
+    constructor(app) {
+        this.app = app;
+        // { [endpointId]: [{ name, values, createdAt, updatedAt }] }, keyed like endpointSettings
+        this.presets = this.load();
+        this.selected = null;
+    }
+
+    static slugify(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+    }
+
+    // "Portrait" -> "Portrait (2)" when the name is taken
+    static uniqueName(name, taken) {
+        if (!taken.includes(name)) return name;
+        let n = 2;
+        while (taken.includes(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.app.storage.getItem('falai_presets') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save() {
+        this.app.saveWithStorageCheck('falai_presets', this.presets);
+    }
+
+    getEndpointKey() {
+        return this.app.currentEndpoint?.metadata?.endpointId || null;
+    }
+
+    getPresets(endpointKey = this.getEndpointKey()) {
+        return this.presets[endpointKey] || [];
+    }
+
+    findPreset(name, endpointKey = this.getEndpointKey()) {
+        return this.getPresets(endpointKey).find(preset => preset.name === name) || null;
+    }
+
+    bindEvents() {
+        const dropdown = document.getElementById('preset-dropdown');
+        dropdown.addEventListener('change', () => {
+            if (dropdown.value) {
+                this.apply(dropdown.value);
+            } else {
+                this.selected = null;
+                this.render();
+            }
+        });
+
+        document.getElementById('preset-save-btn').addEventListener('click', () => this.saveCurrent());
+        document.getElementById('preset-rename-btn').addEventListener('click', () => this.renameSelected());
+        document.getElementById('preset-delete-btn').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('preset-export-btn').addEventListener('click', () => this.exportSelected());
+
+        const fileInput = document.getElementById('preset-import-input');
+        document.getElementById('preset-import-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const data = JSON.parse(await file.text());
+                this.importPresetFile(data);
+            } catch (error) {
+                this.app.showToast('Error', `Failed to import preset: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    // Refresh the picker for the current endpoint
+    render() {
+        const picker = document.getElementById('preset-picker');
+        const dropdown = document.getElementById('preset-dropdown');
+        if (!picker || !dropdown) return;
+
+        const endpointKey = this.getEndpointKey();
+        picker.classList.toggle('hidden', !endpointKey);
+
+        const presets = this.getPresets(endpointKey);
+        if (this.selected && !presets.some(preset => preset.name === this.selected)) {
+            this.selected = null;
+        }
+
+        dropdown.innerHTML = `<option value="">${presets.length ? 'Presets...' : 'No presets yet'}</option>`;
+        for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name;
+            dropdown.appendChild(option);
+        }
+        dropdown.value = this.selected || '';
+
+        const hasSelection = !!this.selected;
+        for (const id of ['preset-rename-btn', 'preset-delete-btn', 'preset-export-btn']) {
+            document.getElementById(id).disabled = !hasSelection;
+        }
+    }
+
+    // Called when the endpoint changes; a preset belongs to one endpoint only
+    reset() {
+        this.selected = null;
+        this.render();
+    }
+
+    // Current form state without base64 uploads, same as the auto-saved settings
+    captureForm() {
+        return this.app.filterBase64Data(this.app.collectFormData());
+    }
+
+    saveCurrent() {
+        const endpointKey = this.getEndpointKey();
+        if (!endpointKey) return;
+
+        const name = (prompt('Preset name:', this.selected || '') || '').trim();
+        if (!name) return;
+
+        const values = this.captureForm();
+        const presets = this.getPresets(endpointKey);
+        const existing = presets.find(preset => preset.name === name);
+
+        if (existing) {
+            if (!confirm(`Overwrite preset "${name}"?`)) return;
+            existing.values = values;
+            existing.updatedAt = Date.now();
+        } else {
+            presets.push({ name, values, createdAt: Date.now(), updatedAt: Date.now() });
+            this.presets[endpointKey] = presets;
+        }
+
+        this.selected = name;
+        this.save();
+        this.render();
+        this.app.showToast('Preset saved', `"${name}" saved for ${endpointKey}`, 'success');
+    }
+
+    // Make the preset the endpoint's form state and rebuild the form from it,
+    // so fields the preset does not mention fall back to their defaults
+    apply(name) {
+        const endpointKey = this.getEndpointKey();
+        const preset = this.findPreset(name, endpointKey);
+        if (!preset) return;
+
+        this.app.endpointSettings[endpointKey] = JSON.parse(JSON.stringify(preset.values));
+        this.app.saveWithStorageCheck('falai_endpoint_settings', this.app.endpointSettings);
+        this.app.generateForm();
+
+        this.selected = name;
+        this.render();
+        this.app.logDebug(`Applied preset "${name}"`, 'info');
+    }
+
+    renameSelected() {
+        const preset = this.findPreset(this.selected);
+        if (!preset) return;
+
+        const name = (prompt('Rename preset:', preset.name) || '').trim();
+        if (!name || name === preset.name) return;
+
+        if (this.findPreset(name)) {
+            this.app.showToast('Warning', `A preset named "${name}" already exists`, 'warning');
+            return;
+        }
+
+        preset.name = name;
+        preset.updatedAt = Date.now();
+        this.selected = name;
+        this.save();
+        this.render();
+    }
+
+    deleteSelected() {
+        const endpointKey = this.getEndpointKey();
+        const preset = this.findPreset(this.selected, endpointKey);
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+
+        this.presets[endpointKey] = this.getPresets(endpointKey).filter(candidate => candidate !== preset);
+        if (this.presets[endpointKey].length === 0) delete this.presets[endpointKey];
+
+        this.selected = null;
+        this.save();
+        this.render();
+    }
+
+    exportSelected() {
+        const endpointKey = this.getEndpointKey();
+        const preset = this.findPreset(this.selected, endpointKey);
+        if (!preset) return;
+
+        const data = {
+            type: 'falai-preset',
+            version: 1,
+            endpointId: endpointKey,
+            name: preset.name,
+            values: preset.values,
+            exportedAt: new Date().toISOString()
+        };
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `falai-preset-${FalAIPresetManager.slugify(endpointKey)}-${FalAIPresetManager.slugify(preset.name)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    static isPresetFile(data) {
+        return !!data && data.type === 'falai-preset' && typeof data.endpointId === 'string' &&
+            typeof data.name === 'string' && data.values && typeof data.values === 'object';
+    }
+
+    // Merge a single exported preset; name clashes get a numbered copy instead of overwriting
+    importPresetFile(data) {
+        if (!FalAIPresetManager.isPresetFile(data)) {
+            throw new Error('Not a preset file');
+        }
+
+        const name = this.mergePreset(data.endpointId, data);
+        this.save();
+
+        if (data.endpointId === this.getEndpointKey()) {
+            this.apply(name);
+        } else {
+            this.render();
+        }
+
+        const knownEndpoint = Array.from(this.app.endpoints.values()).some(endpoint => endpoint.metadata.endpointId === data.endpointId);
+        this.app.showToast(
+            'Preset imported',
+            knownEndpoint ? `"${name}" added to ${data.endpointId}` : `"${name}" saved for ${data.endpointId}, which is not loaded here`,
+            knownEndpoint ? 'success' : 'warning'
+        );
+        return name;
+    }
+
+    mergePreset(endpointKey, preset) {
+        const presets = this.getPresets(endpointKey);
+        const values = this.app.filterBase64Data(preset.values);
+        const existing = presets.find(candidate => candidate.name === preset.name);
+
+        // Re-importing an identical preset is a no-op
+        if (existing && JSON.stringify(existing.values) === JSON.stringify(values)) {
+            return existing.name;
+        }
+
+        const name = FalAIPresetManager.uniqueName(preset.name, presets.map(candidate => candidate.name));
+        presets.push({ name, values, createdAt: preset.createdAt || Date.now(), updatedAt: Date.now() });
+        this.presets[endpointKey] = presets;
+        return name;
+    }
+
+    export() {
+        return this.presets;
+    }
+
+    // Full settings import: merge every endpoint's presets into ours
+    import(allPresets) {
+        if (!allPresets || typeof allPresets !== 'object') return 0;
+
+        let count = 0;
+        for (const [endpointKey, presets] of Object.entries(allPresets)) {
+            if (!Array.isArray(presets)) continue;
+            for (const preset of presets) {
+                if (!preset || typeof preset.name !== 'string' || !preset.values) continue;
+                this.mergePreset(endpointKey, preset);
+                count++;
+            }
+        }
+        this.save();
+        this.render();
+        return count;
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIPresetManager;
+}
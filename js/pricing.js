@@ -0,0 +1,381 @@
+/**
+ * Pricing and spend tracking: a locally edited price per endpoint, cost estimates before submit,
+ * the actual cost of each completed job, and a spend dashboard with a soft daily/monthly budget.
+ */
+
+class FalAIPricing {
+    constructor(app) {
+        this.app = app;
+        // { [endpointId]: { unit: 'megapixel' | 'image' | 'request', price } }, price in USD
+        this.prices = this.loadJson('falai_pricing', {});
+        // [{ timestamp, endpoint, cost, units, unit, requestId }]
+        this.spendLog = this.loadJson('falai_spend_log', []);
+        this.budget = this.loadJson('falai_budget', { daily: null, monthly: null });
+        this.maxLogEntries = 5000;
+        this.estimateTimer = null;
+    }
+
+    // Dimensions of fal's image_size presets
+    static presetSize(name) {
+        return {
+            square_hd: { width: 1024, height: 1024 },
+            square: { width: 512, height: 512 },
+            portrait_4_3: { width: 768, height: 1024 },
+            portrait_16_9: { width: 576, height: 1024 },
+            landscape_4_3: { width: 1024, height: 768 },
+            landscape_16_9: { width: 1024, height: 576 }
+        }[name] || null;
+    }
+
+    static unitLabels() {
+        return {
+            megapixel: 'per megapixel',
+            image: 'per image',
+            request: 'per request'
+        };
+    }
+
+    static formatCost(amount) {
+        if (amount == null || Number.isNaN(amount)) return '—';
+        return amount < 0.1 && amount > 0 ? `$${amount.toFixed(3)}` : `$${amount.toFixed(2)}`;
+    }
+
+    // Megapixels for an image_size value (preset name or {width, height}); 1 MP when unknown
+    static megapixels(imageSize) {
+        const size = typeof imageSize === 'string' ? FalAIPricing.presetSize(imageSize) : imageSize;
+        if (!size || !size.width || !size.height) return 1;
+        return (size.width * size.height) / 1e6;
+    }
+
+    static dayKey(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    loadJson(key, fallback) {
+        try {
+            return JSON.parse(this.app.storage.getItem(key) || 'null') ?? fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    // Priced per megapixel when the endpoint takes an image_size, per image otherwise
+    getDefaultUnit(endpointId) {
+        const endpoint = this.app.endpoints.get(endpointId);
+        const inputSchema = endpoint ? this.app.findInputSchema(endpoint.schema) : null;
+        return inputSchema?.properties?.image_size ? 'megapixel' : 'image';
+    }
+
+    getPrice(endpointId) {
+        const name = this.app.getEndpointName(endpointId);
+        return this.prices[name] || { unit: this.getDefaultUnit(endpointId), price: null };
+    }
+
+    setPrice(endpointName, unit, price) {
+        this.prices[endpointName] = { unit, price: Number.isFinite(price) && price >= 0 ? price : null };
+        this.app.saveWithStorageCheck('falai_pricing', this.prices);
+        this.updateEstimate();
+    }
+
+    // Billable units for a payload (before submit) or a result (after completion)
+    countUnits(unit, payload, result = null) {
+        if (unit === 'request') return 1;
+
+        const images = result?.images || null;
+        const imageCount = images ? images.length : (result?.video ? 1 : (parseInt(payload.num_images, 10) || 1));
+        if (unit === 'image') return imageCount;
+
+        // Real output dimensions win over the requested size
+        if (images && images.every(image => image.width && image.height)) {
+            return images.reduce((total, image) => total + (image.width * image.height) / 1e6, 0);
+        }
+        return FalAIPricing.megapixels(payload.image_size) * imageCount;
+    }
+
+    // { cost, units, unit, price } or null while the endpoint has no price set
+    estimate(endpointId, payload) {
+        const { unit, price } = this.getPrice(endpointId);
+        if (price == null) return null;
+
+        const units = this.countUnits(unit, payload);
+        return { cost: units * price, units, unit, price };
+    }
+
+    estimateMany(endpointId, payloads) {
+        let total = 0;
+        for (const payload of payloads) {
+            const estimate = this.estimate(endpointId, payload);
+            if (!estimate) return null;
+            total += estimate.cost;
+        }
+        return total;
+    }
+
+    // Record a completed job once and return the cost for its gallery metadata. Jobs sent through the proxy
+    // (a local mock, or a server that bills on its own terms) stay out of the spend log
+    recordJob(job, result) {
+        if (!job) return null;
+        if (job.cost !== undefined) return job.cost;
+        if (job.proxied) {
+            job.cost = null;
+            return null;
+        }
+
+        const { unit, price } = this.getPrice(job.endpointId);
+        if (price == null) {
+            job.cost = null;
+            return null;
+        }
+
+        const units = this.countUnits(unit, job.payload || {}, result);
+        job.cost = { amount: Number((units * price).toFixed(6)), units: Number(units.toFixed(4)), unit, price, currency: 'USD' };
+
+        this.spendLog.push({
+            timestamp: Date.now(),
+            endpoint: this.app.getEndpointName(job.endpointId),
+            cost: job.cost.amount,
+            units: job.cost.units,
+            unit,
+            requestId: job.requestId || null
+        });
+        if (this.spendLog.length > this.maxLogEntries) {
+            this.spendLog = this.spendLog.slice(-this.maxLogEntries);
+        }
+        this.app.saveWithStorageCheck('falai_spend_log', this.spendLog);
+
+        return job.cost;
+    }
+
+    getSpend(since) {
+        return this.spendLog
+            .filter(entry => entry.timestamp >= since)
+            .reduce((total, entry) => total + entry.cost, 0);
+    }
+
+    getSpendToday() {
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        return this.getSpend(start.getTime());
+    }
+
+    getSpendThisMonth() {
+        const start = new Date();
+        start.setDate(1);
+        start.setHours(0, 0, 0, 0);
+        return this.getSpend(start.getTime());
+    }
+
+    // Prices and budget travel with exported settings; the spend log stays with this browser
+    export() {
+        return { prices: this.prices, budget: this.budget };
+    }
+
+    import(data) {
+        if (!data || typeof data !== 'object') return;
+        if (data.prices && typeof data.prices === 'object') {
+            this.prices = data.prices;
+            this.app.saveWithStorageCheck('falai_pricing', this.prices);
+        }
+        if (data.budget && typeof data.budget === 'object') {
+            this.budget = { daily: data.budget.daily ?? null, monthly: data.budget.monthly ?? null };
+            this.app.saveWithStorageCheck('falai_budget', this.budget);
+        }
+        this.updateEstimate();
+    }
+
+    // Soft budget: ask before a submit that would go over; returns false if the user backs out
+    confirmBudget(cost) {
+        if (!cost) return true;
+
+        const checks = [
+            { limit: this.budget.daily, spent: this.getSpendToday(), label: 'daily' },
+            { limit: this.budget.monthly, spent: this.getSpendThisMonth(), label: 'monthly' }
+        ];
+
+        for (const { limit, spent, label } of checks) {
+            if (limit && spent + cost > limit) {
+                return confirm(
+                    `This generation (~${FalAIPricing.formatCost(cost)}) would bring your ${label} spend to ` +
+                    `${FalAIPricing.formatCost(spent + cost)}, over your ${FalAIPricing.formatCost(limit)} budget.\n\nContinue anyway?`
+                );
+            }
+        }
+        return true;
+    }
+
+    // Estimate label for the prompt button row
+    createEstimateElement() {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = 'cost-estimate';
+        element.title = 'Estimated cost - click to edit pricing';
+        element.addEventListener('click', () => this.openDashboard());
+        return element;
+    }
+
+    // Debounced so typing in the prompt does not re-collect the form on every key
+    scheduleEstimate() {
+        clearTimeout(this.estimateTimer);
+        this.estimateTimer = setTimeout(() => this.updateEstimate(), 200);
+    }
+
+    updateEstimate() {
+        const element = document.querySelector('#generation-form .cost-estimate');
+        if (!element || !this.app.currentEndpointId) return;
+
+        const estimate = this.estimate(this.app.currentEndpointId, this.app.collectFormData());
+        element.textContent = estimate ? `~${FalAIPricing.formatCost(estimate.cost)}` : 'Set price';
+        element.classList.toggle('unset', !estimate);
+    }
+
+    bindEvents() {
+        const form = document.getElementById('generation-form');
+        form.addEventListener('input', () => this.scheduleEstimate());
+        form.addEventListener('change', () => this.scheduleEstimate());
+
+        const modal = document.getElementById('spend-modal');
+        document.getElementById('spend-btn').addEventListener('click', () => this.openDashboard());
+        document.getElementById('close-spend-modal').addEventListener('click', () => modal.classList.add('hidden'));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.classList.add('hidden');
+        });
+
+        for (const period of ['daily', 'monthly']) {
+            const input = document.getElementById(`budget-${period}`);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                this.budget[period] = Number.isFinite(value) && value > 0 ? value : null;
+                this.app.saveWithStorageCheck('falai_budget', this.budget);
+                this.renderSummary();
+            });
+        }
+
+        document.getElementById('clear-spend-log').addEventListener('click', () => {
+            if (!confirm('Clear the recorded spend history?')) return;
+            this.spendLog = [];
+            this.app.saveWithStorageCheck('falai_spend_log', this.spendLog);
+            this.renderDashboard();
+        });
+    }
+
+    openDashboard() {
+        this.renderDashboard();
+        document.getElementById('spend-modal').classList.remove('hidden');
+    }
+
+    renderDashboard() {
+        document.getElementById('budget-daily').value = this.budget.daily ?? '';
+        document.getElementById('budget-monthly').value = this.budget.monthly ?? '';
+        this.renderSummary();
+        this.renderPricingTable();
+        this.renderSpendTable();
+    }
+
+    renderSummary() {
+        const today = this.getSpendToday();
+        const month = this.getSpendThisMonth();
+        const over = (this.budget.daily && today > this.budget.daily) || (this.budget.monthly && month > this.budget.monthly);
+
+        const summary = document.getElementById('spend-summary');
+        summary.textContent = `Today ${FalAIPricing.formatCost(today)}` +
+            (this.budget.daily ? ` of ${FalAIPricing.formatCost(this.budget.daily)}` : '') +
+            ` · This month ${FalAIPricing.formatCost(month)}` +
+            (this.budget.monthly ? ` of ${FalAIPricing.formatCost(this.budget.monthly)}` : '');
+        summary.classList.toggle('over-budget', !!over);
+    }
+
+    // One row per known endpoint plus any priced endpoint that is no longer loaded
+    renderPricingTable() {
+        const tbody = document.querySelector('#pricing-table tbody');
+        tbody.innerHTML = '';
+
+        const rows = new Map();
+        for (const [key, endpoint] of this.app.endpoints) {
+            rows.set(endpoint.metadata.endpointId, key);
+        }
+        for (const name of Object.keys(this.prices)) {
+            if (!rows.has(name)) rows.set(name, name);
+        }
+
+        for (const [name, key] of Array.from(rows.entries()).sort((a, b) => a[0].localeCompare(b[0]))) {
+            const current = this.getPrice(key);
+            const tr = document.createElement('tr');
+            tr.innerHTML = '<td class="pricing-endpoint"></td><td><select></select></td><td><input type="number" min="0" step="0.001" placeholder="Not set"></td>';
+            tr.querySelector('.pricing-endpoint').textContent = name;
+
+            const select = tr.querySelector('select');
+            for (const [unit, label] of Object.entries(FalAIPricing.unitLabels())) {
+                const option = document.createElement('option');
+                option.value = unit;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+            select.value = current.unit;
+
+            const input = tr.querySelector('input');
+            input.value = current.price ?? '';
+
+            const save = () => this.setPrice(name, select.value, input.value === '' ? null : parseFloat(input.value));
+            select.addEventListener('change', save);
+            input.addEventListener('change', save);
+
+            tbody.appendChild(tr);
+        }
+    }
+
+    // Last 14 days with spend, broken down by endpoint
+    renderSpendTable() {
+        const container = document.getElementById('spend-by-day');
+        container.innerHTML = '';
+
+        const days = new Map();
+        for (const entry of this.spendLog) {
+            const day = FalAIPricing.dayKey(entry.timestamp);
+            if (!days.has(day)) days.set(day, new Map());
+            const byEndpoint = days.get(day);
+            const current = byEndpoint.get(entry.endpoint) || { cost: 0, jobs: 0 };
+            byEndpoint.set(entry.endpoint, { cost: current.cost + entry.cost, jobs: current.jobs + 1 });
+        }
+
+        const recent = Array.from(days.keys()).sort().reverse().slice(0, 14);
+        if (recent.length === 0) {
+            container.innerHTML = '<p class="field-description">No spend recorded yet. Costs are recorded for completed jobs on endpoints with a price.</p>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'spend-table';
+        table.innerHTML = '<thead><tr><th>Day</th><th>Endpoint</th><th>Jobs</th><th>Cost</th></tr></thead><tbody></tbody>';
+        const tbody = table.querySelector('tbody');
+
+        for (const day of recent) {
+            const byEndpoint = Array.from(days.get(day).entries()).sort((a, b) => b[1].cost - a[1].cost);
+            const dayTotal = byEndpoint.reduce((total, [, value]) => total + value.cost, 0);
+
+            const totalRow = document.createElement('tr');
+            totalRow.className = 'spend-day';
+            totalRow.innerHTML = '<td></td><td>All endpoints</td><td></td><td></td>';
+            totalRow.children[0].textContent = day;
+            totalRow.children[2].textContent = byEndpoint.reduce((total, [, value]) => total + value.jobs, 0);
+            totalRow.children[3].textContent = FalAIPricing.formatCost(dayTotal);
+            tbody.appendChild(totalRow);
+
+            for (const [endpoint, value] of byEndpoint) {
+                const row = document.createElement('tr');
+                row.innerHTML = '<td></td><td></td><td></td><td></td>';
+                row.children[1].textContent = endpoint;
+                row.children[2].textContent = value.jobs;
+                row.children[3].textContent = FalAIPricing.formatCost(value.cost);
+                tbody.appendChild(row);
+            }
+        }
+
+        container.appendChild(table);
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIPricing;
+}
@@ -0,0 +1,351 @@
+/**
+ * Prompt history: every submitted prompt per endpoint, deduplicated with use counts and last-used time.
+ * Surfaced as an autocomplete dropdown on the prompt field, with pinning and search.
+ */
+
+class FalAIPromptHistory {
+    constructor(app) {
+        this.app = app;
+        this.maxEntries = 200; // per endpoint, pinned prompts are never dropped
+        this.maxSuggestions = 8;
+        this.history = this.load();
+
+        this.textarea = null;
+        this.dropdown = null;
+        this.searchInput = null;
+        this.activeIndex = -1;
+        this.visibleEntries = [];
+    }
+
+    static normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    static formatAge(timestamp, now = Date.now()) {
+        const minutes = Math.floor((now - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+        const days = Math.floor(hours / 24);
+        if (days < 30) return `${days}d ago`;
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    // Combine two entry lists for the same endpoint, keeping the higher count and later use
+    static merge(current = [], incoming = []) {
+        const byText = new Map(current.map(entry => [FalAIPromptHistory.normalize(entry.text), { ...entry }]));
+
+        for (const entry of incoming) {
+            if (!entry || typeof entry.text !== 'string') continue;
+            const key = FalAIPromptHistory.normalize(entry.text);
+            if (!key) continue;
+
+            const existing = byText.get(key);
+            if (existing) {
+                existing.count = Math.max(existing.count || 1, entry.count || 1);
+                existing.lastUsed = Math.max(existing.lastUsed || 0, entry.lastUsed || 0);
+                existing.pinned = !!(existing.pinned || entry.pinned);
+            } else {
+                byText.set(key, {
+                    text: entry.text,
+                    count: entry.count || 1,
+                    lastUsed: entry.lastUsed || 0,
+                    pinned: !!entry.pinned
+                });
+            }
+        }
+
+        return Array.from(byText.values());
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.app.storage.getItem('falai_prompt_history') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save() {
+        this.app.saveWithStorageCheck('falai_prompt_history', this.history);
+    }
+
+    // History is keyed by the endpoint's model id so custom endpoint map keys do not split it
+    getKey(endpointId = this.app.currentEndpointId) {
+        return endpointId ? this.app.getEndpointName(endpointId) : null;
+    }
+
+    getEntries(endpointId) {
+        return this.history[this.getKey(endpointId)] || [];
+    }
+
+    record(endpointId, prompt) {
+        const key = this.getKey(endpointId);
+        const text = (prompt || '').trim();
+        if (!key || !text) return;
+
+        const entries = this.history[key] || [];
+        const normalized = FalAIPromptHistory.normalize(text);
+        const existing = entries.find(entry => FalAIPromptHistory.normalize(entry.text) === normalized);
+
+        if (existing) {
+            existing.text = text;
+            existing.count = (existing.count || 1) + 1;
+            existing.lastUsed = Date.now();
+        } else {
+            entries.push({ text, count: 1, lastUsed: Date.now(), pinned: false });
+        }
+
+        this.history[key] = this.trim(entries);
+        this.save();
+    }
+
+    // Drop the least recently used unpinned prompts beyond the cap
+    trim(entries) {
+        const unpinned = entries.filter(entry => !entry.pinned);
+        if (unpinned.length <= this.maxEntries) return entries;
+
+        const drop = new Set(unpinned
+            .sort((a, b) => a.lastUsed - b.lastUsed)
+            .slice(0, unpinned.length - this.maxEntries));
+        return entries.filter(entry => !drop.has(entry));
+    }
+
+    // Pinned first, then most recently used; every word of the query has to match
+    search(endpointId, query = '') {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.getEntries(endpointId)
+            .filter(entry => {
+                const text = entry.text.toLowerCase();
+                return words.every(word => text.includes(word));
+            })
+            .sort((a, b) => (b.pinned - a.pinned) || (b.lastUsed - a.lastUsed));
+    }
+
+    togglePin(endpointId, text) {
+        const entry = this.getEntries(endpointId).find(candidate => candidate.text === text);
+        if (!entry) return;
+        entry.pinned = !entry.pinned;
+        this.save();
+    }
+
+    remove(endpointId, text) {
+        const key = this.getKey(endpointId);
+        if (!this.history[key]) return;
+        this.history[key] = this.history[key].filter(entry => entry.text !== text);
+        if (this.history[key].length === 0) delete this.history[key];
+        this.save();
+    }
+
+    export() {
+        return this.history;
+    }
+
+    // Merge rather than replace, so importing on a second device keeps its own history
+    import(data) {
+        if (!data || typeof data !== 'object') return 0;
+
+        let count = 0;
+        for (const [key, entries] of Object.entries(data)) {
+            if (!Array.isArray(entries)) continue;
+            this.history[key] = this.trim(FalAIPromptHistory.merge(this.history[key], entries));
+            count += entries.length;
+        }
+        this.save();
+        return count;
+    }
+
+    // Toggle button for the prompt button row
+    createToggleButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn secondary prompt-history-btn';
+        button.innerHTML = '<i class="ph ph-clock-counter-clockwise"></i>';
+        button.title = 'Prompt history';
+        button.addEventListener('click', () => {
+            if (this.isOpen() && !this.searchInput.classList.contains('hidden')) {
+                this.close();
+            } else {
+                this.open({ withSearch: true });
+            }
+        });
+        return button;
+    }
+
+    // Attach the autocomplete dropdown to the prompt textarea
+    createDropdown(textarea) {
+        this.textarea = textarea;
+
+        const dropdown = document.createElement('div');
+        dropdown.className = 'prompt-history hidden';
+        dropdown.innerHTML = `
+            <input type="text" class="prompt-history-search hidden" placeholder="Search prompt history...">
+            <ul class="prompt-history-list"></ul>
+        `;
+        this.dropdown = dropdown;
+        this.activeIndex = -1;
+
+        // Unnamed so collectFormData() ignores it
+        this.searchInput = dropdown.querySelector('.prompt-history-search');
+        this.searchInput.addEventListener('input', () => this.render(this.searchInput.value));
+        this.searchInput.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.searchInput.addEventListener('blur', () => {
+            setTimeout(() => {
+                if (!dropdown.contains(document.activeElement) && document.activeElement !== textarea) this.close();
+            }, 150);
+        });
+
+        textarea.addEventListener('input', () => {
+            // Programmatic changes (restore, "Use prompt") are not typing
+            if (this.app.isRestoring || document.activeElement !== textarea) return;
+            const query = textarea.value.trim();
+            if (query.length >= 3) {
+                this.open({ query });
+            } else if (this.searchInput.classList.contains('hidden')) {
+                this.close();
+            }
+        });
+        textarea.addEventListener('keydown', (e) => {
+            if (this.isOpen()) this.handleKeydown(e);
+        });
+        textarea.addEventListener('blur', () => {
+            // Let clicks inside the dropdown land before closing
+            setTimeout(() => {
+                if (!dropdown.contains(document.activeElement)) this.close();
+            }, 150);
+        });
+
+        return dropdown;
+    }
+
+    isOpen() {
+        return !!this.dropdown && !this.dropdown.classList.contains('hidden');
+    }
+
+    open({ query = '', withSearch = false } = {}) {
+        if (!this.dropdown) return;
+
+        this.searchInput.classList.toggle('hidden', !withSearch);
+        if (withSearch) this.searchInput.value = query;
+
+        const shown = this.render(query);
+        // Autocomplete stays out of the way when nothing matches
+        if (!withSearch && shown === 0) {
+            this.close();
+            return;
+        }
+
+        this.dropdown.classList.remove('hidden');
+        if (withSearch) this.searchInput.focus();
+    }
+
+    close() {
+        if (!this.dropdown) return;
+        this.dropdown.classList.add('hidden');
+        this.searchInput.classList.add('hidden');
+        this.activeIndex = -1;
+    }
+
+    render(query = '') {
+        const list = this.dropdown.querySelector('.prompt-history-list');
+        list.innerHTML = '';
+
+        const current = FalAIPromptHistory.normalize(this.textarea.value);
+        const withSearch = !this.searchInput.classList.contains('hidden');
+        let entries = this.search(this.app.currentEndpointId, query);
+        // While typing, the prompt already in the box is not a useful suggestion
+        if (!withSearch) entries = entries.filter(entry => FalAIPromptHistory.normalize(entry.text) !== current);
+
+        this.visibleEntries = withSearch ? entries : entries.slice(0, this.maxSuggestions);
+        this.activeIndex = -1;
+
+        if (this.visibleEntries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'prompt-history-empty';
+            empty.textContent = query ? 'No matching prompts' : 'No prompts used with this endpoint yet';
+            list.appendChild(empty);
+            return 0;
+        }
+
+        this.visibleEntries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'prompt-history-item';
+            item.dataset.index = index;
+            item.innerHTML = `
+                <button type="button" class="prompt-history-pin" title="${entry.pinned ? 'Unpin' : 'Pin'}">
+                    <i class="ph ph-push-pin"></i>
+                </button>
+                <span class="prompt-history-text"></span>
+                <span class="prompt-history-meta"></span>
+                <button type="button" class="prompt-history-remove" title="Remove from history">
+                    <i class="ph ph-x"></i>
+                </button>
+            `;
+            item.classList.toggle('pinned', !!entry.pinned);
+            item.querySelector('.prompt-history-text').textContent = entry.text;
+            item.querySelector('.prompt-history-meta').textContent =
+                `×${entry.count} · ${FalAIPromptHistory.formatAge(entry.lastUsed)}`;
+            item.title = entry.text;
+
+            // mousedown keeps focus in the textarea so its blur handler does not close us first
+            item.addEventListener('mousedown', (e) => e.preventDefault());
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.prompt-history-pin')) {
+                    this.togglePin(this.app.currentEndpointId, entry.text);
+                    this.render(withSearch ? this.searchInput.value : query);
+                } else if (e.target.closest('.prompt-history-remove')) {
+                    this.remove(this.app.currentEndpointId, entry.text);
+                    this.render(withSearch ? this.searchInput.value : query);
+                } else {
+                    this.apply(entry);
+                }
+            });
+
+            list.appendChild(item);
+        });
+
+        return this.visibleEntries.length;
+    }
+
+    handleKeydown(e) {
+        const count = this.visibleEntries.length;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            this.textarea.focus();
+        } else if (e.key === 'ArrowDown' && count) {
+            e.preventDefault();
+            this.setActive((this.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count) {
+            e.preventDefault();
+            this.setActive((this.activeIndex - 1 + count) % count);
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            e.preventDefault();
+            this.apply(this.visibleEntries[this.activeIndex]);
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.dropdown.querySelectorAll('.prompt-history-item').forEach(item => {
+            const active = Number(item.dataset.index) === index;
+            item.classList.toggle('active', active);
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    apply(entry) {
+        this.textarea.value = entry.text;
+        // Goes through the same listeners as typing, so the setting is saved
+        this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        // The input listener may have reopened the autocomplete for the new text
+        this.close();
+        this.textarea.focus();
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIPromptHistory;
+}
@@ -0,0 +1,511 @@
+/**
+ * Prompt list mode: queues one generation per prompt from a pasted list or an uploaded .txt/.csv file.
+ * CSV columns can be mapped onto schema fields (seed, image_size, loras...) to vary them per row.
+ */
+
+class FalAIPromptList {
+    constructor(app) {
+        this.app = app;
+        this.enabled = false;
+        this.panel = null;
+        this.textarea = null;
+        this.promptInput = null;
+        this.toggleBtn = null;
+        this.activeBatch = null;
+        // From the first await of run() until the list is done; activeBatch only exists once jobs start
+        this.running = false;
+
+        // Kept across endpoint switches, the panel itself is rebuilt with the form
+        this.linesText = '';
+        this.csv = null; // { fileName, headers, rows, mapping }
+    }
+
+    // Non-empty lines; lines starting with # are comments
+    static parseLines(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    }
+
+    // Minimal RFC 4180 parser: quoted fields, doubled quotes, newlines inside quotes
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    // Turn a CSV cell into the value the schema expects; resolve follows $refs into the endpoint schema
+    static coerceValue(text, schema = {}, resolve = ref => ref) {
+        const value = text.trim();
+        if (value === '') return undefined;
+
+        if (value.startsWith('[') || value.startsWith('{')) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                // Fall through and treat it as text
+            }
+        }
+
+        const types = [schema.type, ...(schema.anyOf || []).map(option => option.type)].filter(Boolean);
+        const isObjectRef = (schema.anyOf || []).some(option => option.$ref);
+
+        // "1024x768" for image_size-style fields
+        const size = value.match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+        if (size && (types.includes('object') || isObjectRef)) {
+            return { width: parseInt(size[1], 10), height: parseInt(size[2], 10) };
+        }
+
+        // Lists are separated by ";": "path:scale; path2:scale" for LoRAs (paths may be URLs, so split on
+        // the last colon), plain values otherwise (e.g. image_urls)
+        const itemsRef = schema.items || (schema.anyOf || []).find(option => option.type === 'array')?.items;
+        if (itemsRef) {
+            const items = resolve(itemsRef) || {};
+            const parts = value.split(';').map(part => part.trim()).filter(Boolean);
+            const isLora = !!items.properties?.path || /lora/i.test(itemsRef.$ref || '');
+            if (!isLora) return parts.map(part => FalAIPromptList.coerceValue(part, items, resolve));
+
+            return parts.map(part => {
+                const match = part.match(/^(.*):(-?\d+(?:\.\d+)?)$/);
+                return match ? { path: match[1].trim(), scale: Number(match[2]) } : { path: part, scale: 1 };
+            });
+        }
+
+        if (types.includes('integer') || types.includes('number')) {
+            const number = Number(value);
+            if (Number.isFinite(number)) return number;
+        }
+
+        if (types.includes('boolean')) {
+            if (/^(true|yes|1)$/i.test(value)) return true;
+            if (/^(false|no|0)$/i.test(value)) return false;
+        }
+
+        return value;
+    }
+
+    static truncate(text, length = 60) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    getProperties() {
+        const endpoint = this.app.currentEndpoint;
+        const inputSchema = endpoint ? this.app.findInputSchema(endpoint.schema) : null;
+        return inputSchema?.properties || {};
+    }
+
+    // Toggle button for the prompt button row
+    createToggleButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn secondary prompt-list-btn';
+        button.innerHTML = '<i class="ph ph-list-numbers"></i>';
+        button.title = 'Prompt list: one generation per line or CSV row';
+        button.addEventListener('click', () => this.setEnabled(!this.enabled));
+        this.toggleBtn = button;
+        return button;
+    }
+
+    createPanel(promptInput) {
+        this.promptInput = promptInput;
+
+        const panel = document.createElement('div');
+        panel.className = 'prompt-list hidden';
+        panel.innerHTML = `
+            <textarea class="prompt-list-lines" rows="6" placeholder="One prompt per line (lines starting with # are skipped)"></textarea>
+            <div class="prompt-list-source">
+                <label class="btn secondary small prompt-list-upload">
+                    <i class="ph ph-upload-simple"></i> Load .txt / .csv
+                    <input type="file" accept=".txt,.csv,text/plain,text/csv" hidden>
+                </label>
+                <span class="prompt-list-summary"></span>
+            </div>
+            <div class="prompt-list-csv hidden">
+                <div class="prompt-list-csv-header">
+                    <span class="prompt-list-csv-name"></span>
+                    <button type="button" class="btn secondary small prompt-list-csv-clear">
+                        <i class="ph ph-x"></i> Clear
+                    </button>
+                </div>
+                <div class="prompt-list-mapping"></div>
+            </div>
+            <div class="prompt-list-run hidden">
+                <div class="prompt-list-run-header">
+                    <span class="prompt-list-progress"></span>
+                    <button type="button" class="btn secondary small prompt-list-pause">Pause</button>
+                    <button type="button" class="btn secondary small prompt-list-stop">Stop</button>
+                </div>
+                <div class="prompt-list-table-wrap">
+                    <table class="prompt-list-table">
+                        <thead><tr><th>#</th><th>Prompt</th><th>Status</th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+        this.panel = panel;
+
+        // Inputs are intentionally unnamed so collectFormData() ignores them
+        this.textarea = panel.querySelector('.prompt-list-lines');
+        this.textarea.value = this.linesText;
+        this.textarea.addEventListener('input', () => {
+            this.linesText = this.textarea.value;
+            this.updateSummary();
+        });
+
+        const fileInput = panel.querySelector('input[type="file"]');
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.loadFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        panel.querySelector('.prompt-list-csv-clear').addEventListener('click', () => {
+            this.csv = null;
+            this.renderCsv();
+        });
+
+        panel.querySelector('.prompt-list-pause').addEventListener('click', () => {
+            if (this.activeBatch) this.app.batch.togglePause(this.activeBatch);
+        });
+        panel.querySelector('.prompt-list-stop').addEventListener('click', () => {
+            if (this.activeBatch) this.activeBatch.runner.cancel();
+        });
+
+        // A new form means a new endpoint; list mode starts off again
+        this.enabled = false;
+        this.renderCsv();
+        return panel;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!this.panel) return;
+
+        this.panel.classList.toggle('hidden', !enabled);
+        this.toggleBtn?.classList.toggle('active', enabled);
+
+        // The single prompt is replaced by the list, so it must not block form submit
+        if (this.promptInput) {
+            if (enabled) {
+                this.promptInput.dataset.wasRequired = this.promptInput.required ? 'true' : '';
+                this.promptInput.required = false;
+            } else if (this.promptInput.dataset.wasRequired) {
+                this.promptInput.required = true;
+            }
+            this.promptInput.classList.toggle('hidden', enabled);
+        }
+
+        if (enabled) this.textarea.focus();
+    }
+
+    isActive() {
+        return this.enabled && !!this.panel && this.panel.isConnected;
+    }
+
+    async loadFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.app.showError(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+
+        if (!/\.csv$/i.test(file.name) && file.type !== 'text/csv') {
+            this.linesText = text;
+            this.textarea.value = text;
+            this.csv = null;
+            this.renderCsv();
+            return;
+        }
+
+        const rows = FalAIPromptList.parseCsv(text);
+        if (rows.length === 0) {
+            this.app.showError(`${file.name} has no rows`);
+            return;
+        }
+
+        const properties = this.getProperties();
+        const names = Object.keys(properties).map(name => name.toLowerCase());
+
+        // Treat the first row as a header when any cell names a field
+        const hasHeader = rows[0].some(cell => names.includes(cell.trim().toLowerCase()));
+        const headers = hasHeader
+            ? rows[0].map(cell => cell.trim())
+            : rows[0].map((cell, i) => `Column ${i + 1}`);
+
+        this.csv = {
+            fileName: file.name,
+            headers,
+            rows: hasHeader ? rows.slice(1) : rows,
+            mapping: this.guessMapping(headers, properties)
+        };
+        this.renderCsv();
+    }
+
+    // Map headers to fields by name; without a prompt column the first column is the prompt
+    guessMapping(headers, properties) {
+        const byLowerName = new Map(Object.keys(properties).map(name => [name.toLowerCase(), name]));
+        const mapping = headers.map(header => byLowerName.get(header.toLowerCase()) || '');
+
+        if (!mapping.includes('prompt')) {
+            const firstFree = mapping.indexOf('');
+            if (firstFree !== -1) mapping[firstFree] = 'prompt';
+        }
+        return mapping;
+    }
+
+    renderCsv() {
+        if (!this.panel) return;
+
+        const csvBox = this.panel.querySelector('.prompt-list-csv');
+        csvBox.classList.toggle('hidden', !this.csv);
+        this.textarea.classList.toggle('hidden', !!this.csv);
+
+        const mappingEl = this.panel.querySelector('.prompt-list-mapping');
+        mappingEl.innerHTML = '';
+
+        if (this.csv) {
+            this.panel.querySelector('.prompt-list-csv-name').textContent = `${this.csv.fileName} · ${this.csv.rows.length} rows`;
+
+            const fieldNames = Object.keys(this.getProperties());
+            this.csv.headers.forEach((header, column) => {
+                const row = document.createElement('label');
+                row.className = 'prompt-list-mapping-row';
+
+                const name = document.createElement('span');
+                name.textContent = header;
+
+                const select = document.createElement('select');
+                const options = ['', ...new Set(['prompt', ...fieldNames])];
+                for (const field of options) {
+                    const option = document.createElement('option');
+                    option.value = field;
+                    option.textContent = field || 'Ignore';
+                    select.appendChild(option);
+                }
+                select.value = this.csv.mapping[column] || '';
+                select.addEventListener('change', () => {
+                    this.csv.mapping[column] = select.value;
+                    this.updateSummary();
+                });
+
+                row.appendChild(name);
+                row.appendChild(select);
+                mappingEl.appendChild(row);
+            });
+        }
+
+        this.updateSummary();
+    }
+
+    updateSummary() {
+        if (!this.panel) return;
+        const summary = this.panel.querySelector('.prompt-list-summary');
+        try {
+            const count = this.getRows().length;
+            summary.textContent = count > 0 ? `${count} prompt${count === 1 ? '' : 's'}` : '';
+            summary.classList.remove('error');
+        } catch (error) {
+            summary.textContent = error.message;
+            summary.classList.add('error');
+        }
+    }
+
+    // Returns [{prompt, values}] from the CSV if one is loaded, otherwise from the pasted lines
+    getRows() {
+        if (!this.csv) {
+            return FalAIPromptList.parseLines(this.linesText).map(prompt => ({ prompt, values: {} }));
+        }
+
+        const promptColumn = this.csv.mapping.indexOf('prompt');
+        if (promptColumn === -1) throw new Error('Map one column to prompt');
+
+        const properties = this.getProperties();
+        const resolve = ref => this.app.resolveSchema(ref, this.app.currentEndpoint.schema);
+        const rows = [];
+
+        this.csv.rows.forEach((cells, rowIndex) => {
+            const prompt = (cells[promptColumn] || '').trim();
+            if (!prompt) return;
+
+            const values = {};
+            this.csv.mapping.forEach((field, column) => {
+                if (!field || field === 'prompt') return;
+                const value = FalAIPromptList.coerceValue(cells[column] || '', resolve(properties[field] || {}), resolve);
+                if (value !== undefined) values[field] = value;
+            });
+            rows.push({ prompt, values, line: rowIndex + 1 });
+        });
+
+        return rows;
+    }
+
+    async run(basePayload, fieldIndexMap = {}) {
+        if (this.running) {
+            this.app.showError('A prompt list is already running');
+            return;
+        }
+
+        let rows;
+        try {
+            rows = this.getRows();
+        } catch (error) {
+            this.app.showError(`Prompt list: ${error.message}`);
+            return;
+        }
+
+        const batch = this.app.batch;
+        if (rows.length === 0) {
+            this.app.showError('Prompt list is empty');
+            return;
+        }
+        if (rows.length > batch.maxCombinations) {
+            this.app.showError(`Prompt list has ${rows.length} rows (limit ${batch.maxCombinations})`);
+            return;
+        }
+        if (rows.length > batch.confirmThreshold && !confirm(`Queue ${rows.length} generations?`)) {
+            return;
+        }
+
+        // Rows may use template syntax; each row gets its own random variant
+        let prompts;
+        try {
+            prompts = rows.map(row => this.app.promptTemplate.expand(row.prompt));
+        } catch (error) {
+            this.app.showError(`Prompt list: ${error.message}`);
+            return;
+        }
+
+        // A second Generate while images are being prepared must not start another list
+        this.running = true;
+        try {
+            const rowPayload = (i) => Object.assign(JSON.parse(JSON.stringify(basePayload)), rows[i].values, { prompt: prompts[i] });
+            const items = rows.map((row, i) => ({
+                label: `#${i + 1} ${FalAIPromptList.truncate(prompts[i], 40)}`,
+                params: { row: i + 1, ...row.values },
+                prompt: prompts[i],
+                promptTemplate: FalAIPromptTemplate.isTemplate(row.prompt) ? row.prompt : null,
+                payload: rowPayload(i)
+            }));
+
+            const title = `Prompt list (${items.length})`;
+            if (!batch.checkItems(items, { title, fieldIndexMap })) return;
+
+            // Images are shared by every row: compress and upload once, only for a list that will run
+            await this.app.prepareFormImages(basePayload);
+            items.forEach((item, i) => { item.payload = rowPayload(i); });
+
+            await batch.runBatch(items, {
+                title,
+                columns: Math.min(items.length, 4),
+                fieldIndexMap,
+                checked: true,
+                onStart: (started) => {
+                    this.activeBatch = started;
+                    started.onPauseChange = () => this.updateProgress(started.runner.getProgress());
+                    this.renderTable(started.runner.items);
+                },
+                onUpdate: (item, progress) => {
+                    this.updateRow(item);
+                    this.updateProgress(progress);
+                }
+            });
+
+            if (this.activeBatch) {
+                this.updateProgress(this.activeBatch.runner.getProgress(), true);
+                this.activeBatch = null;
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    renderTable(items) {
+        if (!this.panel) return;
+        this.panel.querySelector('.prompt-list-run').classList.remove('hidden');
+
+        const tbody = this.panel.querySelector('.prompt-list-table tbody');
+        tbody.innerHTML = '';
+        for (const item of items) {
+            const tr = document.createElement('tr');
+            tr.dataset.index = item.index;
+            tr.innerHTML = '<td></td><td></td><td class="prompt-list-status"></td>';
+            tr.children[0].textContent = item.index + 1;
+            tr.children[1].textContent = item.prompt;
+            tr.children[1].title = item.prompt;
+            tbody.appendChild(tr);
+            this.updateRow(item);
+        }
+        this.updateProgress(this.activeBatch.runner.getProgress());
+    }
+
+    updateRow(item) {
+        const tr = this.panel?.querySelector(`.prompt-list-table tr[data-index="${item.index}"]`);
+        if (!tr) return;
+
+        const labels = { pending: 'Pending', running: 'Running', completed: 'Done', failed: 'Failed', cancelled: 'Cancelled', skipped: 'Skipped' };
+        tr.className = item.status;
+        const statusCell = tr.querySelector('.prompt-list-status');
+        statusCell.textContent = labels[item.status] || item.status;
+        statusCell.title = item.error || '';
+
+        if (item.status === 'running') tr.scrollIntoView({ block: 'nearest' });
+    }
+
+    updateProgress(progress, finished = false) {
+        if (!this.panel) return;
+
+        const paused = this.activeBatch?.runner.paused;
+        const failed = progress.failed ? ` · ${progress.failed} failed` : '';
+        this.panel.querySelector('.prompt-list-progress').textContent =
+            `${progress.done}/${progress.total} done${failed}${paused && !finished ? ' (paused)' : ''}`;
+
+        const pauseBtn = this.panel.querySelector('.prompt-list-pause');
+        const stopBtn = this.panel.querySelector('.prompt-list-stop');
+        pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+        pauseBtn.classList.toggle('hidden', finished);
+        stopBtn.classList.toggle('hidden', finished);
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIPromptList;
+}
@@ -0,0 +1,362 @@
+/**
+ * Prompt templates: `{red|green|blue}` alternation, `{2::red|blue}` weights and `__name__` wildcard files.
+ * Prompts are expanded to one random variant per job, or to every variant in combinatorial mode.
+ */
+
+class FalAIPromptTemplate {
+    constructor(app) {
+        this.app = app;
+        this.panel = null;
+        this.maxDepth = 10;
+
+        // Wildcard files by name, each a list of (optionally weighted) lines
+        this.wildcards = this.loadWildcards();
+        this.combinatorial = this.app.storage.getItem('falai_prompt_combinatorial') === 'true';
+    }
+
+    // Quick check so plain prompts skip parsing entirely
+    static isTemplate(text) {
+        return typeof text === 'string' && /\{[^{}]*\|[^{}]*\}|__[\w\-/.]+__/.test(text);
+    }
+
+    // "2.5::red" -> { weight: 2.5, text: 'red' }
+    static splitWeight(text) {
+        const match = text.match(/^\s*(\d+(?:\.\d+)?)::([\s\S]*)$/);
+        return match ? { weight: Number(match[1]), text: match[2] } : { weight: 1, text };
+    }
+
+    // Parse into a list of nodes: { type: 'text', value }, { type: 'choice', options: [{ weight, nodes }] }, { type: 'wildcard', name }
+    static parse(text) {
+        let pos = 0;
+
+        const parseSequence = (stops) => {
+            const nodes = [];
+            let buffer = '';
+            const flush = () => {
+                if (buffer) nodes.push({ type: 'text', value: buffer });
+                buffer = '';
+            };
+
+            while (pos < text.length) {
+                const char = text[pos];
+
+                if (char === '\\' && pos + 1 < text.length) {
+                    buffer += text[pos + 1];
+                    pos += 2;
+                } else if (stops.includes(char)) {
+                    break;
+                } else if (char === '{') {
+                    const start = pos;
+                    pos++;
+                    const options = [parseSequence('|}')];
+                    while (text[pos] === '|') {
+                        pos++;
+                        options.push(parseSequence('|}'));
+                    }
+
+                    if (text[pos] !== '}' || options.length < 2) {
+                        // Unclosed braces or braces without alternatives are literal text
+                        if (text[pos] === '}') pos++;
+                        buffer += text.slice(start, pos);
+                        continue;
+                    }
+                    pos++;
+                    flush();
+                    nodes.push({ type: 'choice', options: options.map(FalAIPromptTemplate.weightOption) });
+                } else if (char === '_' && text[pos + 1] === '_') {
+                    const match = text.slice(pos).match(/^__([\w\-/.]+?)__/);
+                    if (match) {
+                        flush();
+                        nodes.push({ type: 'wildcard', name: match[1] });
+                        pos += match[0].length;
+                    } else {
+                        buffer += char;
+                        pos++;
+                    }
+                } else {
+                    buffer += char;
+                    pos++;
+                }
+            }
+
+            flush();
+            return nodes;
+        };
+
+        return parseSequence('');
+    }
+
+    // Move a leading "N::" weight out of an option's first text node
+    static weightOption(nodes) {
+        if (nodes[0]?.type !== 'text') return { weight: 1, nodes };
+
+        const { weight, text } = FalAIPromptTemplate.splitWeight(nodes[0].value);
+        const rest = text ? [{ type: 'text', value: text }, ...nodes.slice(1)] : nodes.slice(1);
+        return { weight, nodes: rest };
+    }
+
+    static pickWeighted(options, random = Math.random) {
+        const total = options.reduce((sum, option) => sum + option.weight, 0);
+        let roll = random() * total;
+        for (const option of options) {
+            roll -= option.weight;
+            if (roll < 0) return option;
+        }
+        return options[options.length - 1];
+    }
+
+    // Null for names without a wildcard file: `__init__` and the like are left in the prompt as written
+    getWildcardOptions(name) {
+        if (!Object.hasOwn(this.wildcards, name)) return null;
+        return this.wildcards[name].map(line => FalAIPromptTemplate.splitWeight(line));
+    }
+
+    // One random variant; plain prompts come back unchanged
+    expand(text, random = Math.random) {
+        if (!FalAIPromptTemplate.isTemplate(text)) return text;
+        return this.expandNodes(FalAIPromptTemplate.parse(text), random, 0);
+    }
+
+    expandNodes(nodes, random, depth) {
+        if (depth > this.maxDepth) throw new Error('Wildcards nest too deeply (circular reference?)');
+
+        return nodes.map(node => {
+            if (node.type === 'text') return node.value;
+            if (node.type === 'choice') {
+                return this.expandNodes(FalAIPromptTemplate.pickWeighted(node.options, random).nodes, random, depth + 1);
+            }
+            const options = this.getWildcardOptions(node.name);
+            if (!options) return `__${node.name}__`;
+            const line = FalAIPromptTemplate.pickWeighted(options, random);
+            return this.expandNodes(FalAIPromptTemplate.parse(line.text), random, depth + 1);
+        }).join('');
+    }
+
+    // Every variant (weights ignored), deduplicated; throws once the count passes the limit
+    expandAll(text, limit = 500) {
+        if (!FalAIPromptTemplate.isTemplate(text)) return [text];
+        return [...new Set(this.expandAllNodes(FalAIPromptTemplate.parse(text), limit, 0))];
+    }
+
+    expandAllNodes(nodes, limit, depth) {
+        if (depth > this.maxDepth) throw new Error('Wildcards nest too deeply (circular reference?)');
+
+        let results = [''];
+        for (const node of nodes) {
+            let variants;
+            if (node.type === 'text') {
+                variants = [node.value];
+            } else if (node.type === 'choice') {
+                variants = node.options.flatMap(option => this.expandAllNodes(option.nodes, limit, depth + 1));
+            } else {
+                const options = this.getWildcardOptions(node.name);
+                variants = options
+                    ? options.flatMap(line => this.expandAllNodes(FalAIPromptTemplate.parse(line.text), limit, depth + 1))
+                    : [`__${node.name}__`];
+            }
+
+            if (results.length * variants.length > limit) {
+                throw new Error(`Prompt expands to more than ${limit} variants`);
+            }
+            results = results.flatMap(prefix => variants.map(variant => prefix + variant));
+        }
+        return results;
+    }
+
+    isCombinatorial(text) {
+        return this.combinatorial && FalAIPromptTemplate.isTemplate(text);
+    }
+
+    // Queue one job per variant through the batch grid
+    async runCombinatorial(basePayload, fieldIndexMap = {}, { onStart = null } = {}) {
+        const batch = this.app.batch;
+        const template = basePayload.prompt;
+
+        let prompts;
+        try {
+            prompts = this.expandAll(template, batch.maxCombinations);
+        } catch (error) {
+            this.app.showError(`Prompt template: ${error.message}`);
+            return;
+        }
+        if (prompts.length > batch.confirmThreshold && !confirm(`Queue ${prompts.length} generations?`)) {
+            return;
+        }
+
+        const items = prompts.map((prompt, i) => ({
+            label: `#${i + 1} ${FalAIPromptList.truncate(prompt, 40)}`,
+            params: { variant: i + 1 },
+            prompt,
+            promptTemplate: template,
+            payload: { ...JSON.parse(JSON.stringify(basePayload)), prompt }
+        }));
+
+        const title = `Prompt variants (${items.length})`;
+        if (!batch.checkItems(items, { title, fieldIndexMap })) return;
+
+        // Images are shared by every variant: compress and upload once, only for variants that will run
+        await this.app.prepareFormImages(basePayload);
+        items.forEach(item => {
+            item.payload = { ...JSON.parse(JSON.stringify(basePayload)), prompt: item.prompt };
+        });
+
+        await batch.runBatch(items, {
+            title,
+            columns: Math.min(items.length, 4),
+            fieldIndexMap,
+            checked: true,
+            onStart
+        });
+    }
+
+    loadWildcards() {
+        try {
+            return JSON.parse(this.app.storage.getItem('falai_wildcards') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveWildcards() {
+        this.app.saveWithStorageCheck('falai_wildcards', this.wildcards);
+    }
+
+    // Wildcard files are plain text, one option per line; # starts a comment
+    async importWildcardFiles(files) {
+        const names = [];
+        for (const file of files) {
+            const name = file.name.replace(/\.txt$/i, '').replace(/[^\w\-/.]/g, '_');
+            const text = await file.text();
+            this.wildcards[name] = FalAIPromptList.parseLines(text);
+            names.push(name);
+        }
+
+        this.saveWildcards();
+        this.renderWildcards();
+        if (names.length) {
+            this.app.showToast('Wildcards', `Loaded ${names.map(name => `__${name}__`).join(', ')}`, 'success');
+        }
+    }
+
+    deleteWildcard(name) {
+        delete this.wildcards[name];
+        this.saveWildcards();
+        this.renderWildcards();
+    }
+
+    // Toggle button for the prompt button row
+    createToggleButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn secondary prompt-template-btn';
+        button.innerHTML = '<i class="ph ph-brackets-curly"></i>';
+        button.title = 'Wildcards and prompt variants';
+        button.addEventListener('click', () => {
+            const hidden = this.panel.classList.toggle('hidden');
+            button.classList.toggle('active', !hidden);
+        });
+        return button;
+    }
+
+    createPanel(promptInput) {
+        const panel = document.createElement('div');
+        panel.className = 'prompt-template hidden';
+        panel.innerHTML = `
+            <div class="field-description">
+                <code>{red|green|blue}</code> picks one option, <code>{3::red|blue}</code> weights it,
+                <code>__name__</code> picks a line from a wildcard file.
+            </div>
+            <div class="prompt-template-options">
+                <label class="prompt-template-combinatorial">
+                    <input type="checkbox"> Combinatorial (one job per variant)
+                </label>
+                <span class="prompt-template-preview"></span>
+            </div>
+            <div class="prompt-template-wildcards"></div>
+            <label class="btn secondary small prompt-template-upload">
+                <i class="ph ph-upload-simple"></i> Add wildcard .txt files
+                <input type="file" accept=".txt,text/plain" multiple hidden>
+            </label>
+        `;
+        this.panel = panel;
+
+        // Inputs are intentionally unnamed so collectFormData() ignores them
+        const checkbox = panel.querySelector('.prompt-template-combinatorial input');
+        checkbox.checked = this.combinatorial;
+        checkbox.addEventListener('change', () => {
+            this.combinatorial = checkbox.checked;
+            this.app.storage.setItem('falai_prompt_combinatorial', this.combinatorial);
+            this.updatePreview(promptInput.value);
+        });
+
+        const fileInput = panel.querySelector('input[type="file"]');
+        fileInput.addEventListener('change', async () => {
+            try {
+                await this.importWildcardFiles(Array.from(fileInput.files));
+            } catch (error) {
+                this.app.showError(`Could not load wildcards: ${error.message}`);
+            }
+            fileInput.value = '';
+            this.updatePreview(promptInput.value);
+        });
+
+        promptInput.addEventListener('input', () => this.updatePreview(promptInput.value));
+
+        this.renderWildcards();
+        return panel;
+    }
+
+    renderWildcards() {
+        const list = this.panel?.querySelector('.prompt-template-wildcards');
+        if (!list) return;
+
+        list.innerHTML = '';
+        for (const [name, lines] of Object.entries(this.wildcards)) {
+            const chip = document.createElement('span');
+            chip.className = 'prompt-template-chip';
+            chip.title = lines.slice(0, 20).join('\n');
+
+            const label = document.createElement('span');
+            label.textContent = `__${name}__ (${lines.length})`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.innerHTML = '<i class="ph ph-x"></i>';
+            removeBtn.title = 'Delete wildcard';
+            removeBtn.addEventListener('click', () => this.deleteWildcard(name));
+
+            chip.appendChild(label);
+            chip.appendChild(removeBtn);
+            list.appendChild(chip);
+        }
+    }
+
+    // Show the variant count in combinatorial mode, or an example expansion otherwise
+    updatePreview(text) {
+        const preview = this.panel?.querySelector('.prompt-template-preview');
+        if (!preview) return;
+
+        preview.classList.remove('error');
+        if (!FalAIPromptTemplate.isTemplate(text)) {
+            preview.textContent = '';
+            return;
+        }
+
+        try {
+            if (this.combinatorial) {
+                const count = this.expandAll(text, this.app.batch.maxCombinations).length;
+                preview.textContent = `${count} variant${count === 1 ? '' : 's'}`;
+            } else {
+                preview.textContent = `e.g. ${FalAIPromptList.truncate(this.expand(text), 80)}`;
+            }
+        } catch (error) {
+            preview.textContent = error.message;
+            preview.classList.add('error');
+        }
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIPromptTemplate;
+}
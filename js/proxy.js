@@ -0,0 +1,180 @@
+/**
+ * Proxy routing for queue requests: submit, status, stream, result and cancel URLs go through a configurable base URL.
+ * "rewrite" swaps the origin (e.g. a local mock server); "header" posts everything to one URL with
+ * x-fal-target-url, the pattern fal's server-side proxies use.
+ */
+
+class FalAIProxy {
+    constructor(app) {
+        this.app = app;
+        // { enabled, baseUrl, mode: 'rewrite' | 'header', omitAuth }
+        this.settings = { ...FalAIProxy.defaults(), ...this.load() };
+    }
+
+    static defaults() {
+        return { enabled: false, baseUrl: '', mode: 'rewrite', omitAuth: false };
+    }
+
+    // "http://localhost:8001/" + "https://queue.fal.run/fal-ai/flux/requests/1?logs=1"
+    //   -> "http://localhost:8001/fal-ai/flux/requests/1?logs=1"
+    static rewriteUrl(url, baseUrl) {
+        const target = new URL(url);
+        return `${baseUrl.replace(/\/+$/, '')}${target.pathname}${target.search}`;
+    }
+
+    static validateBaseUrl(baseUrl) {
+        let parsed;
+        try {
+            parsed = new URL(baseUrl, location.href);
+        } catch (e) {
+            throw new Error('Proxy URL is not a valid URL');
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error('Proxy URL must use http or https');
+        }
+        return parsed.href;
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.app.storage.getItem('falai_proxy') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    save() {
+        this.app.saveWithStorageCheck('falai_proxy', this.settings);
+    }
+
+    isActive() {
+        return this.settings.enabled && !!this.settings.baseUrl;
+    }
+
+    // The proxy adds the key itself, so the browser needs none
+    suppliesAuth() {
+        return this.isActive() && this.settings.omitAuth;
+    }
+
+    // { url, options } to actually fetch; jobs keep the original fal URLs so changing the setting
+    // mid-job only changes where the next request goes
+    route(url, options = {}) {
+        if (!this.isActive()) return { url, options };
+
+        const headers = { ...(options.headers || {}) };
+        if (this.settings.omitAuth) delete headers.Authorization;
+
+        let routedUrl;
+        if (this.settings.mode === 'header') {
+            routedUrl = this.settings.baseUrl;
+            headers['x-fal-target-url'] = url;
+        } else {
+            routedUrl = FalAIProxy.rewriteUrl(url, this.settings.baseUrl);
+        }
+
+        return { url: routedUrl, options: { ...options, headers } };
+    }
+
+    bindEvents() {
+        const modal = document.getElementById('proxy-modal');
+        document.getElementById('proxy-btn').addEventListener('click', () => this.openModal());
+        document.getElementById('mobile-proxy-btn').addEventListener('click', () => {
+            this.app.closeMobileMenu();
+            this.openModal();
+        });
+        document.getElementById('save-proxy').addEventListener('click', () => this.saveForm());
+        document.getElementById('cancel-proxy').addEventListener('click', () => modal.classList.add('hidden'));
+        document.getElementById('proxy-enabled').addEventListener('change', () => this.updateFormState());
+
+        this.render();
+    }
+
+    openModal() {
+        document.getElementById('proxy-enabled').checked = this.settings.enabled;
+        document.getElementById('proxy-base-url').value = this.settings.baseUrl;
+        document.getElementById('proxy-mode').value = this.settings.mode;
+        document.getElementById('proxy-omit-auth').checked = this.settings.omitAuth;
+        this.updateFormState();
+        document.getElementById('proxy-modal').classList.remove('hidden');
+    }
+
+    updateFormState() {
+        const enabled = document.getElementById('proxy-enabled').checked;
+        for (const id of ['proxy-base-url', 'proxy-mode', 'proxy-omit-auth']) {
+            document.getElementById(id).disabled = !enabled;
+        }
+    }
+
+    saveForm() {
+        const enabled = document.getElementById('proxy-enabled').checked;
+        let baseUrl = document.getElementById('proxy-base-url').value.trim();
+
+        if (enabled) {
+            if (!baseUrl) {
+                this.app.showToast('Warning', 'Enter a proxy URL or turn the proxy off', 'warning');
+                return;
+            }
+            try {
+                baseUrl = FalAIProxy.validateBaseUrl(baseUrl);
+            } catch (error) {
+                this.app.showToast('Warning', error.message, 'warning');
+                return;
+            }
+        }
+
+        this.settings = {
+            enabled,
+            baseUrl,
+            mode: document.getElementById('proxy-mode').value,
+            omitAuth: document.getElementById('proxy-omit-auth').checked
+        };
+        this.save();
+        this.render();
+
+        document.getElementById('proxy-modal').classList.add('hidden');
+        this.app.showToast('Success', enabled ? `Requests go through ${baseUrl}` : 'Requests go directly to fal.ai', 'success');
+    }
+
+    // Header indicator so it is obvious requests are not going to fal.ai directly
+    render() {
+        const button = document.getElementById('proxy-btn');
+        if (button) button.classList.toggle('active', this.isActive());
+
+        const mobileButton = document.getElementById('mobile-proxy-btn');
+        if (mobileButton) mobileButton.textContent = this.isActive() ? 'Proxy (on)' : 'Proxy';
+    }
+
+    export() {
+        return this.settings;
+    }
+
+    // A settings file must not quietly send every request (and the API key) to another server: a proxy that
+    // is not already the active one is only taken over once its address is confirmed
+    import(settings) {
+        if (!settings || typeof settings !== 'object') return;
+        const imported = { ...FalAIProxy.defaults(), ...settings };
+
+        if (imported.enabled && imported.baseUrl && !(this.isActive() && imported.baseUrl === this.settings.baseUrl)) {
+            let origin;
+            try {
+                origin = new URL(FalAIProxy.validateBaseUrl(imported.baseUrl)).origin;
+            } catch (error) {
+                this.app.showToast('Warning', `Imported proxy ignored: ${error.message}`, 'warning');
+                return;
+            }
+            const sent = imported.omitAuth ? 'all fal requests' : 'all fal requests and your API key';
+            if (!confirm(`The imported settings send ${sent} through a proxy at:\n\n${origin}\n\nOnly accept if you set up this server. Use it?`)) {
+                return;
+            }
+        }
+
+        this.settings = imported;
+        this.save();
+        this.render();
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIProxy;
+}
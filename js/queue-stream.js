@@ -0,0 +1,125 @@
+/**
+ * Queue status stream: reads the fal queue `/status/stream` server-sent events for one request.
+ * Uses fetch instead of EventSource because the queue needs an Authorization header.
+ */
+
+class FalAIQueueStream {
+    constructor({ url, headers = {}, onStatus = () => {}, fetchImpl = null } = {}) {
+        this.url = url;
+        this.headers = headers;
+        this.onStatus = onStatus;
+        this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+        this.controller = null;
+        this.lastStatus = null;
+        this.eventCount = 0;
+    }
+
+    // Build the stream URL from a request's status_url (logs=1 keeps model logs in every event)
+    static urlFromStatusUrl(statusUrl, withLogs = true) {
+        const [base, query] = statusUrl.split('?');
+        const params = new URLSearchParams(query || '');
+        if (withLogs) params.set('logs', '1');
+        return `${base.replace(/\/$/, '')}/stream?${params.toString()}`;
+    }
+
+    // Split a text buffer into complete SSE events, returning the unfinished remainder
+    static parseEvents(buffer) {
+        const events = [];
+        const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+        const rest = blocks.pop();
+
+        for (const block of blocks) {
+            const dataLines = [];
+            let eventType = 'message';
+
+            for (const line of block.split('\n')) {
+                // Lines starting with ':' are keep-alive comments
+                if (!line || line.startsWith(':')) continue;
+
+                const separator = line.indexOf(':');
+                const field = separator === -1 ? line : line.slice(0, separator);
+                let value = separator === -1 ? '' : line.slice(separator + 1);
+                if (value.startsWith(' ')) value = value.slice(1);
+
+                if (field === 'data') dataLines.push(value);
+                else if (field === 'event') eventType = value;
+            }
+
+            if (dataLines.length > 0) {
+                events.push({ event: eventType, data: dataLines.join('\n') });
+            }
+        }
+
+        return { events, rest };
+    }
+
+    // Resolves with the last status once the server closes the stream.
+    // Rejects if the stream cannot be opened, so the caller can fall back to polling.
+    async start() {
+        this.controller = new AbortController();
+
+        const response = await this.fetchImpl(this.url, {
+            headers: { ...this.headers, 'Accept': 'text/event-stream' },
+            signal: this.controller.signal
+        });
+
+        if (!response.ok || !response.body) {
+            const error = new Error(`Status stream unavailable: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const { events, rest } = FalAIQueueStream.parseEvents(buffer);
+                buffer = rest;
+
+                for (const event of events) {
+                    this.handleEvent(event);
+                }
+            }
+        } catch (error) {
+            // stop() aborts the read; that is a normal end, not a failure
+            if (!this.isAborted()) throw error;
+        }
+
+        return this.lastStatus;
+    }
+
+    handleEvent(event) {
+        let status;
+        try {
+            status = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('Ignoring malformed status event:', event.data);
+            return;
+        }
+
+        this.eventCount++;
+        this.lastStatus = status;
+        this.onStatus(status);
+    }
+
+    stop() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    isAborted() {
+        return !!(this.controller && this.controller.signal.aborted);
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIQueueStream;
+}
@@ -0,0 +1,180 @@
+/**
+ * Schema validator: checks a request payload against an endpoint's OpenAPI input schema before submit.
+ * Errors use the same {loc, msg, type} shape as fal's 422 responses so they map onto form fields the same way.
+ */
+
+class FalAISchemaValidator {
+    constructor(rootSchema) {
+        // Full OpenAPI document, used to resolve $ref pointers
+        this.rootSchema = rootSchema || {};
+    }
+
+    validate(data, schema) {
+        const errors = [];
+        this.validateValue(data, schema, [], errors);
+        return errors;
+    }
+
+    resolve(schema) {
+        let resolved = schema;
+        // Follow chained refs, guarding against cycles
+        for (let depth = 0; resolved && resolved.$ref && depth < 10; depth++) {
+            const path = resolved.$ref.replace(/^#\//, '').split('/');
+            resolved = path.reduce((node, part) => (node ? node[part] : undefined), this.rootSchema);
+        }
+        return resolved || {};
+    }
+
+    validateValue(value, schema, loc, errors) {
+        schema = this.resolve(schema);
+
+        if (schema.allOf) {
+            for (const subSchema of schema.allOf) {
+                this.validateValue(value, subSchema, loc, errors);
+            }
+        }
+
+        if (schema.anyOf || schema.oneOf) {
+            this.validateAnyOf(value, schema.anyOf || schema.oneOf, loc, errors);
+            return;
+        }
+
+        if (value === null && (schema.nullable || schema.type === 'null')) return;
+
+        // Select inputs always yield strings; the API accepts numeric strings for number fields too
+        if ((schema.type === 'integer' || schema.type === 'number') && typeof value === 'string' &&
+            value.trim() !== '' && !Number.isNaN(Number(value))) {
+            value = Number(value);
+        }
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            errors.push(this.error(loc, `Input should be a valid ${this.describeType(schema.type)}`, 'type_error'));
+            return;
+        }
+
+        if (schema.enum && !schema.enum.some(option => String(option) === String(value))) {
+            errors.push(this.error(loc, `Input should be ${schema.enum.map(option => `'${option}'`).join(', ')}`, 'enum'));
+        }
+
+        if (typeof value === 'number') {
+            this.validateNumber(value, schema, loc, errors);
+        } else if (typeof value === 'string') {
+            this.validateString(value, schema, loc, errors);
+        } else if (Array.isArray(value)) {
+            this.validateArray(value, schema, loc, errors);
+        } else if (value && typeof value === 'object') {
+            this.validateObject(value, schema, loc, errors);
+        }
+    }
+
+    // The value has to satisfy at least one option; report the closest option's errors otherwise
+    validateAnyOf(value, options, loc, errors) {
+        let best = null;
+
+        for (const option of options) {
+            const optionErrors = [];
+            this.validateValue(value, option, loc, optionErrors);
+            if (optionErrors.length === 0) return;
+
+            // A type mismatch at the top level means this option does not apply at all
+            const isTypeMismatch = optionErrors.length === 1 && optionErrors[0].type === 'type_error' &&
+                optionErrors[0].loc.length === loc.length + 1;
+            if (!best || (best.isTypeMismatch && !isTypeMismatch)) {
+                best = { errors: optionErrors, isTypeMismatch };
+            }
+        }
+
+        if (best) errors.push(...best.errors);
+    }
+
+    validateNumber(value, schema, loc, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(this.error(loc, `Input should be greater than or equal to ${schema.minimum}`, 'greater_than_equal'));
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(this.error(loc, `Input should be less than or equal to ${schema.maximum}`, 'less_than_equal'));
+        }
+        // OpenAPI 3.1 numeric form; the 3.0 boolean form modifies minimum/maximum
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push(this.error(loc, `Input should be greater than ${schema.exclusiveMinimum}`, 'greater_than'));
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push(this.error(loc, `Input should be less than ${schema.exclusiveMaximum}`, 'less_than'));
+        }
+        if (schema.exclusiveMinimum === true && value <= schema.minimum) {
+            errors.push(this.error(loc, `Input should be greater than ${schema.minimum}`, 'greater_than'));
+        }
+        if (schema.exclusiveMaximum === true && value >= schema.maximum) {
+            errors.push(this.error(loc, `Input should be less than ${schema.maximum}`, 'less_than'));
+        }
+    }
+
+    validateString(value, schema, loc, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(this.error(loc, `String should have at least ${schema.minLength} characters`, 'string_too_short'));
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(this.error(loc, `String should have at most ${schema.maxLength} characters`, 'string_too_long'));
+        }
+    }
+
+    validateArray(value, schema, loc, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(this.error(loc, `List should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`, 'too_short'));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(this.error(loc, `List should have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`, 'too_long'));
+        }
+        if (schema.items) {
+            value.forEach((item, index) => this.validateValue(item, schema.items, [...loc, index], errors));
+        }
+    }
+
+    validateObject(value, schema, loc, errors) {
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null || value[name] === '') {
+                errors.push(this.error([...loc, name], 'Field required', 'missing'));
+            }
+        }
+
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (propertyValue === undefined) continue;
+            if (properties[name]) {
+                this.validateValue(propertyValue, properties[name], [...loc, name], errors);
+            } else if (typeof schema.additionalProperties === 'object') {
+                this.validateValue(propertyValue, schema.additionalProperties, [...loc, name], errors);
+            }
+        }
+    }
+
+    matchesType(value, type) {
+        if (Array.isArray(type)) return type.some(option => this.matchesType(value, option));
+
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return true;
+        }
+    }
+
+    describeType(type) {
+        if (Array.isArray(type)) return type.join(' or ');
+        return { integer: 'integer', number: 'number', string: 'string', boolean: 'boolean', array: 'list', object: 'object' }[type] || type;
+    }
+
+    error(loc, msg, type) {
+        return { loc: ['body', ...loc], msg, type };
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAISchemaValidator;
+}
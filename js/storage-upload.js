@@ -0,0 +1,150 @@
+/**
+ * Storage upload: sends local images (base64 data URLs) to fal storage when a generation is submitted and puts the
+ * returned URL in the payload, so request bodies stay small. Uploads are cached by content hash and the server that
+ * stored them (fal, or a proxy/mock server); when upload fails the data URL is sent as before.
+ */
+
+class FalAIStorageUpload {
+    constructor(app) {
+        this.app = app;
+        this.initiateUrl = 'https://rest.alpha.fal.ai/storage/upload/initiate?storage_type=fal-cdn-v3';
+        // { ['<upload origin> <sha256>']: { url, size, uploadedAt } }
+        this.cache = this.loadCache();
+        this.cacheTtl = 7 * 24 * 60 * 60 * 1000; // stored files are not kept forever, re-upload after a week
+        this.maxCacheEntries = 500;
+        this.inflight = new Map();
+        // After a failed upload, skip straight to data URLs for a while instead of failing every image
+        this.unavailableUntil = 0;
+        this.warnedFallback = false;
+    }
+
+    static dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const contentType = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+        const binary = atob(data);
+        return new Blob([Uint8Array.from(binary, char => char.charCodeAt(0))], { type: contentType });
+    }
+
+    static async hash(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static extensionFor(contentType) {
+        return { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' }[contentType] || 'bin';
+    }
+
+    loadCache() {
+        try {
+            return JSON.parse(this.app.storage.getItem('falai_upload_cache') || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveCache() {
+        const entries = Object.entries(this.cache)
+            .filter(([, entry]) => Date.now() - entry.uploadedAt < this.cacheTtl)
+            .sort((a, b) => b[1].uploadedAt - a[1].uploadedAt)
+            .slice(0, this.maxCacheEntries);
+        this.cache = Object.fromEntries(entries);
+        this.app.saveWithStorageCheck('falai_upload_cache', this.cache);
+    }
+
+    // Uploading needs a key, unless a proxy adds it
+    isAvailable() {
+        return Date.now() >= this.unavailableUntil && (!!this.app.apiKey || this.app.proxy.suppliesAuth());
+    }
+
+    // URLs from a mock server must not end up in requests to fal once the proxy is switched off,
+    // so entries are per origin the upload is actually sent to
+    cacheKey(hash) {
+        return `${new URL(this.app.proxy.route(this.initiateUrl).url, location.href).origin} ${hash}`;
+    }
+
+    // fal storage: ask for a signed upload URL, PUT the bytes there, use the returned file URL
+    async upload(blob) {
+        const hash = await FalAIStorageUpload.hash(blob);
+        const key = this.cacheKey(hash);
+        const cached = this.cache[key];
+        if (cached && Date.now() - cached.uploadedAt < this.cacheTtl) {
+            this.app.logDebug('Reusing uploaded image', 'info', { url: cached.url });
+            return cached.url;
+        }
+
+        // The same image used twice in one payload (or batch) uploads once
+        if (this.inflight.has(key)) return this.inflight.get(key);
+
+        const promise = (async () => {
+            const response = await this.app.queueFetch(this.initiateUrl, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Key ${this.app.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    content_type: blob.type,
+                    file_name: `${hash.slice(0, 16)}.${FalAIStorageUpload.extensionFor(blob.type)}`
+                })
+            }, { retries: 1 });
+            const { upload_url: uploadUrl, file_url: fileUrl } = await response.json();
+            if (!uploadUrl || !fileUrl) throw new Error('Upload was not initiated');
+
+            const put = await fetch(uploadUrl, {
+                method: 'PUT',
+                headers: { 'Content-Type': blob.type },
+                body: blob
+            });
+            if (!put.ok) throw new Error(`Upload failed (HTTP ${put.status})`);
+
+            this.cache[key] = { url: fileUrl, size: blob.size, uploadedAt: Date.now() };
+            this.saveCache();
+            this.app.logDebug('Uploaded image to fal storage', 'success', { url: fileUrl, size: blob.size });
+            return fileUrl;
+        })();
+
+        this.inflight.set(key, promise);
+        try {
+            return await promise;
+        } finally {
+            this.inflight.delete(key);
+        }
+    }
+
+    // The uploaded URL, or the data URL itself when upload is unavailable
+    async uploadDataUrl(dataUrl) {
+        if (!this.isAvailable()) return dataUrl;
+
+        try {
+            return await this.upload(FalAIStorageUpload.dataUrlToBlob(dataUrl));
+        } catch (error) {
+            this.unavailableUntil = Date.now() + 5 * 60 * 1000;
+            this.app.logDebug('Storage upload failed, sending image inline', 'error', { error: error.message });
+            if (!this.warnedFallback) {
+                this.warnedFallback = true;
+                this.app.showToast('Upload unavailable', 'Images are sent inline in the request instead', 'warning');
+            }
+            return dataUrl;
+        }
+    }
+
+    // Replace every base64 image in the payload (nested objects and arrays included), in place
+    async uploadPayloadImages(payload) {
+        const visit = async (value) => {
+            if (this.app.isBase64DataURL(value)) return this.uploadDataUrl(value);
+            if (Array.isArray(value)) {
+                for (let i = 0; i < value.length; i++) value[i] = await visit(value[i]);
+            } else if (value && typeof value === 'object') {
+                for (const key of Object.keys(value)) value[key] = await visit(value[key]);
+            }
+            return value;
+        };
+        await visit(payload);
+        return payload;
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIStorageUpload;
+}
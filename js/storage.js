@@ -0,0 +1,448 @@
+/**
+ * Persistent storage on IndexedDB: settings (the old localStorage keys, mirrored in memory so reads stay synchronous),
+ * gallery metadata and binary blobs in separate object stores. The first run migrates everything out of localStorage.
+ */
+
+class FalAIStorage {
+    constructor() {
+        this.db = null;
+        // Settings as the strings localStorage used to hold
+        this.values = new Map();
+        // Gallery metadata, newest first; this is gallery.savedImages
+        this.images = [];
+        this.onError = null;
+        // Set when the database could not be read after its data was moved there: nothing is saved this session
+        this.memoryOnly = false;
+        this.persistRequested = false;
+        this.writing = Promise.resolve();
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('falai', 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('settings');
+                db.createObjectStore('images', { keyPath: 'timestamp' });
+                db.createObjectStore('blobs');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            // A tab with an older version open holds up the upgrade; the open goes through once it closes.
+            // Falling back to localStorage here would show an empty app, the data already lives in the database
+            request.onblocked = () => alert('FalAI is open in another tab that keeps its storage from updating. Close that tab to continue.');
+        });
+    }
+
+    // Gallery items are identified by timestamp; entries saved in the same millisecond get moved apart
+    // (the list is newest first, so the later entry steps back in time and keeps its place)
+    static uniqueTimestamps(images) {
+        const seen = new Set();
+        for (const image of images) {
+            while (seen.has(image.timestamp)) image.timestamp--;
+            seen.add(image.timestamp);
+        }
+        return images;
+    }
+
+    // Every falai_ key of a Web Storage area; empty when the browser blocks it
+    static readWebStorage(area) {
+        const entries = {};
+        try {
+            for (let i = 0; i < area.length; i++) {
+                const key = area.key(i);
+                if (key.startsWith('falai_')) entries[key] = area.getItem(key);
+            }
+        } catch (e) {
+            // Blocked by tracking prevention or disabled
+        }
+        return entries;
+    }
+
+    async init() {
+        try {
+            this.db = await FalAIStorage.openDatabase();
+        } catch (error) {
+            this.useWebStorage(error);
+            return;
+        }
+        // Let a newer version of the app in another tab upgrade the database
+        this.db.onversionchange = () => this.db.close();
+
+        const transaction = this.db.transaction(['settings', 'images'], 'readonly');
+        const settings = transaction.objectStore('settings');
+        const [keys, values, images] = await Promise.all([
+            FalAIStorage.request(settings.getAllKeys()),
+            FalAIStorage.request(settings.getAll()),
+            FalAIStorage.request(transaction.objectStore('images').getAll())
+        ]);
+        keys.forEach((key, i) => this.values.set(key, values[i]));
+        this.images = images.sort((a, b) => b.timestamp - a.timestamp);
+
+        if (!this.values.has('falai_storage_version')) {
+            await this.migrate();
+        }
+
+        if (this.images.length > 0) this.requestPersistence();
+    }
+
+    // Without IndexedDB (blocked, or it failed while loading) settings and gallery stay in localStorage as before.
+    // Once migrate() has moved them out, localStorage must not start a second copy: the session runs in memory
+    useWebStorage(error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        if (this.db) this.db.close();
+        this.db = null;
+        this.values.clear();
+        this.images = [];
+
+        const legacy = {
+            ...FalAIStorage.readWebStorage(sessionStorage),
+            ...FalAIStorage.readWebStorage(localStorage)
+        };
+        if (legacy.falai_storage_version) {
+            this.memoryOnly = true;
+            return;
+        }
+        for (const [key, value] of Object.entries(legacy)) this.values.set(key, value);
+        try {
+            this.images = JSON.parse(legacy.falai_saved_images || '[]');
+        } catch (e) {
+            this.images = [];
+        }
+    }
+
+    // Copy localStorage (and the sessionStorage fallback copies) into IndexedDB, then drop the old keys
+    async migrate() {
+        const legacy = {
+            ...FalAIStorage.readWebStorage(sessionStorage),
+            ...FalAIStorage.readWebStorage(localStorage)
+        };
+
+        let images = [];
+        try {
+            images = JSON.parse(legacy.falai_saved_images || '[]');
+        } catch (e) {
+            console.warn('Could not read the old gallery:', e);
+        }
+        delete legacy.falai_saved_images;
+        FalAIStorage.uniqueTimestamps(images);
+        const records = await Promise.all(images.map(image => this.toRecord(image)));
+
+        const transaction = this.db.transaction(['settings', 'images', 'blobs'], 'readwrite');
+        const settings = transaction.objectStore('settings');
+        for (const [key, value] of Object.entries(legacy)) settings.put(value, key);
+        settings.put('1', 'falai_storage_version');
+        const imageStore = transaction.objectStore('images');
+        const blobStore = transaction.objectStore('blobs');
+        for (const { record, blob } of records) {
+            imageStore.put(record);
+            if (blob) blobStore.put(blob, record.blobId);
+        }
+        await FalAIStorage.transactionDone(transaction);
+
+        for (const [key, value] of Object.entries(legacy)) this.values.set(key, value);
+        this.values.set('falai_storage_version', '1');
+        this.images = images.sort((a, b) => b.timestamp - a.timestamp);
+
+        // Only now that IndexedDB holds everything
+        for (const area of [localStorage, sessionStorage]) {
+            try {
+                for (const key of Object.keys(FalAIStorage.readWebStorage(area))) area.removeItem(key);
+            } catch (e) {
+                // Nothing to clean up where storage is blocked
+            }
+        }
+        // Marks localStorage as moved, see useWebStorage()
+        try {
+            localStorage.setItem('falai_storage_version', '1');
+        } catch (e) {
+            // Blocked: there is nothing in it to fall back to either
+        }
+        console.log(`Moved ${Object.keys(legacy).length} settings and ${images.length} gallery items to IndexedDB`);
+    }
+
+    // Whether IndexedDB (and so the blob store) is in use; not the same as navigator.storage.persist()
+    hasIndexedDB() {
+        return !!this.db;
+    }
+
+    reportError(error) {
+        console.error('Storage write failed:', error);
+        if (this.onError) this.onError(error);
+    }
+
+    // Writes run one after another in call order, so a delete cannot overtake the put before it.
+    // prepare() does the async work up front; a transaction closes as soon as it waits on anything else.
+    // A failure goes to onError, or with rethrow only to the caller, which then has to handle it
+    write(storeNames, operation, prepare = null, { rethrow = false } = {}) {
+        const run = this.writing.then(async () => {
+            const prepared = prepare ? await prepare() : null;
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            operation(transaction, prepared);
+            await FalAIStorage.transactionDone(transaction);
+        });
+        this.writing = run.catch(error => {
+            if (!rethrow) this.reportError(error);
+        });
+        return rethrow ? run : this.writing;
+    }
+
+    // Settings: same contract as localStorage, except that writes never throw. They go to IndexedDB in the
+    // background; without IndexedDB to localStorage, or sessionStorage when that is blocked or full. The value
+    // is kept in memory for this session either way
+    getItem(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    setItem(key, value) {
+        value = String(value);
+        this.values.set(key, value);
+        if (!this.db) {
+            if (!this.memoryOnly) this.setWebStorageItem(key, value);
+            return Promise.resolve();
+        }
+        return this.write('settings', transaction => transaction.objectStore('settings').put(value, key));
+    }
+
+    // Tracking prevention often blocks both areas (and IndexedDB); that is only worth a console line,
+    // a full storage is reported
+    setWebStorageItem(key, value) {
+        let failure = null;
+        for (const area of [localStorage, sessionStorage]) {
+            try {
+                area.setItem(key, value);
+                // init() prefers localStorage, so an older copy there must not win over this one next time
+                if (area === sessionStorage) {
+                    try { localStorage.removeItem(key); } catch (e) {}
+                }
+                return;
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+        if (failure.name === 'QuotaExceededError') {
+            this.reportError(failure);
+        } else {
+            console.warn(`Could not save ${key} (storage blocked):`, failure.message || failure);
+        }
+    }
+
+    removeItem(key) {
+        this.values.delete(key);
+        if (!this.db) {
+            if (this.memoryOnly) return Promise.resolve();
+            try { localStorage.removeItem(key); } catch (e) {}
+            try { sessionStorage.removeItem(key); } catch (e) {}
+            return Promise.resolve();
+        }
+        return this.write('settings', transaction => transaction.objectStore('settings').delete(key));
+    }
+
+    keys() {
+        return Array.from(this.values.keys());
+    }
+
+    // Gallery metadata. url is the remote (fal) URL, or '' for images that only exist locally; binary data is
+    // kept in the blob store under blobId (thumbBlobId for the grid thumbnail), and localUrl/thumbUrl are the
+    // page-lifetime object URLs for them (never stored)
+    async toRecord(image) {
+        const { localUrl, thumbUrl, ...record } = image;
+        if (typeof image.url === 'string' && image.url.startsWith('data:')) {
+            const blob = await (await fetch(image.url)).blob();
+            image.blobId = image.blobId || `image-${image.timestamp}`;
+            return { record: { ...record, blobId: image.blobId, url: '' }, blob };
+        }
+        return { record, blob: null };
+    }
+
+    // Blob-backed entries get object URLs to display. Read in one pass after the page is up (see FalAIGallery),
+    // so startup does not wait on the blob store; entries that got a URL meanwhile keep it
+    async loadImageBlobs(images) {
+        if (!this.db) return;
+
+        const store = this.db.transaction('blobs').objectStore('blobs');
+        const [keys, blobs] = await Promise.all([
+            FalAIStorage.request(store.getAllKeys()),
+            FalAIStorage.request(store.getAll())
+        ]);
+        const byId = new Map(keys.map((key, i) => [key, blobs[i]]));
+
+        for (const image of images) {
+            if (image.blobId && !image.localUrl && byId.has(image.blobId)) {
+                image.localUrl = URL.createObjectURL(byId.get(image.blobId));
+            }
+            if (image.thumbBlobId && !image.thumbUrl && byId.has(image.thumbBlobId)) {
+                image.thumbUrl = URL.createObjectURL(byId.get(image.thumbBlobId));
+            }
+        }
+    }
+
+    putImages(images) {
+        if (!this.db) return this.saveImagesToLocalStorage();
+
+        return this.write(['images', 'blobs'], (transaction, records) => {
+            for (const { record, blob } of records) {
+                transaction.objectStore('images').put(record);
+                if (blob) transaction.objectStore('blobs').put(blob, record.blobId);
+            }
+        }, () => Promise.all(images.map(image => this.toRecord(image))));
+    }
+
+    putImage(image) {
+        return this.putImages([image]);
+    }
+
+    deleteImages(images) {
+        if (!this.db) return this.saveImagesToLocalStorage();
+
+        return this.write(['images', 'blobs'], transaction => {
+            for (const image of images) {
+                transaction.objectStore('images').delete(image.timestamp);
+                if (image.blobId) transaction.objectStore('blobs').delete(image.blobId);
+                if (image.thumbBlobId) transaction.objectStore('blobs').delete(image.thumbBlobId);
+            }
+        });
+    }
+
+    // Settings import. An entry that is the same image as one already here (timestamp and URL) keeps its stored
+    // copy and thumbnail, so re-importing a backup does not throw away what the browser already has.
+    // Rejects when the rewrite fails, for the import to report
+    importImages(images) {
+        const current = new Map(this.images.map(image => [image.timestamp, image]));
+        for (const image of images) {
+            const existing = current.get(image.timestamp);
+            if (!existing || existing.url !== image.url) continue;
+            for (const field of ['blobId', 'localUrl', 'thumbBlobId', 'thumbUrl', 'width', 'height']) {
+                if (image[field] === undefined && existing[field] !== undefined) image[field] = existing[field];
+            }
+        }
+        return this.replaceImages(images, { rethrow: true });
+    }
+
+    // Whole-gallery rewrite for clear, cleanup and import. References to blobs this browser does not have (an
+    // import from elsewhere) are dropped; blobs nothing refers to any more are deleted
+    replaceImages(images, { rethrow = false } = {}) {
+        this.images = FalAIStorage.uniqueTimestamps(images);
+        if (!this.db) return this.saveImagesToLocalStorage();
+
+        return this.write(['images', 'blobs'], (transaction, { records, blobKeys }) => {
+            const imageStore = transaction.objectStore('images');
+            const blobStore = transaction.objectStore('blobs');
+            const stored = new Set(blobKeys);
+            records.forEach(({ record, blob }, i) => {
+                if (record.blobId && !blob && !stored.has(record.blobId)) {
+                    delete record.blobId;
+                    delete images[i].blobId;
+                }
+                if (record.thumbBlobId && !stored.has(record.thumbBlobId)) {
+                    delete record.thumbBlobId;
+                    delete images[i].thumbBlobId;
+                }
+            });
+            const referenced = new Set(records.flatMap(({ record }) => [record.blobId, record.thumbBlobId]).filter(Boolean));
+
+            imageStore.clear();
+            for (const { record, blob } of records) {
+                imageStore.put(record);
+                if (blob) blobStore.put(blob, record.blobId);
+            }
+            for (const key of blobKeys) {
+                if (!referenced.has(key)) blobStore.delete(key);
+            }
+        }, async () => ({
+            records: await Promise.all(images.map(image => this.toRecord(image))),
+            blobKeys: await FalAIStorage.request(this.db.transaction('blobs').objectStore('blobs').getAllKeys())
+        }), { rethrow });
+    }
+
+    // Without IndexedDB the gallery stays one localStorage entry; a full storage is reported, never trimmed
+    saveImagesToLocalStorage() {
+        if (this.memoryOnly) return Promise.resolve();
+        try {
+            localStorage.setItem('falai_saved_images', JSON.stringify(this.images));
+        } catch (error) {
+            this.reportError(error);
+        }
+        return Promise.resolve();
+    }
+
+    // Copies for settings export. Images whose fal URL is gone go back to data URLs so the file is
+    // self-contained; the rest keep their fal URL rather than blowing the file up with every image.
+    // Blob ids stay in, so importing back into this browser keeps its stored copies (see replaceImages)
+    async exportImages(images) {
+        return Promise.all(images.map(async image => {
+            const { localUrl, thumbUrl, ...rest } = image;
+            const blob = rest.blobId && (!rest.url || rest.remoteMissing) ? await this.getBlob(rest.blobId) : null;
+            if (!blob) return rest;
+
+            const url = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+            return { ...rest, url };
+        }));
+    }
+
+    // Binary store: images and thumbnails keyed by id
+    async getBlob(id) {
+        if (!this.db) return null;
+        return (await FalAIStorage.request(this.db.transaction('blobs').objectStore('blobs').get(id))) || null;
+    }
+
+    // Rejects on failure: callers fall back to the remote URL instead of pointing at a blob that is not there
+    putBlob(id, blob) {
+        if (!this.db) return Promise.reject(new Error('Blob storage needs IndexedDB'));
+        return this.write('blobs', transaction => transaction.objectStore('blobs').put(blob, id), null, { rethrow: true });
+    }
+
+    deleteBlob(id) {
+        if (!this.db) return Promise.resolve();
+        return this.write('blobs', transaction => transaction.objectStore('blobs').delete(id));
+    }
+
+    // Ask the browser not to evict the database under storage pressure (once per session)
+    async requestPersistence() {
+        if (this.persistRequested || !navigator.storage?.persist) return false;
+        this.persistRequested = true;
+
+        try {
+            if (await navigator.storage.persisted()) return true;
+            const granted = await navigator.storage.persist();
+            console.log(granted ? 'Storage marked persistent' : 'Persistent storage was not granted');
+            return granted;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // { usage, quota } in bytes, where the browser reports it
+    async estimate() {
+        try {
+            return await navigator.storage.estimate();
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIStorage;
+}
@@ -0,0 +1,15 @@
+/**
+ * Thumbnail worker: decodes gallery images and encodes WebP thumbnails off the main thread (see thumbnails.js).
+ */
+
+importScripts('thumbnails.js');
+
+self.onmessage = async (event) => {
+    const { id, blob, maxSize, quality } = event.data;
+    try {
+        const result = await FalAIThumbnails.render(blob, maxSize, quality);
+        self.postMessage({ id, ...result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
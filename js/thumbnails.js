@@ -0,0 +1,160 @@
+/**
+ * Gallery thumbnails: small WebP copies rendered in a worker (OffscreenCanvas) when an image is saved, stored in
+ * the blob store together with the original width/height. The grids show these; full images load in the lightbox only.
+ */
+
+class FalAIThumbnails {
+    constructor(app) {
+        this.app = app;
+        this.maxSize = 384;
+        this.quality = 0.8;
+        this.worker = null;
+        this.workerFailed = false;
+        this.nextMessageId = 0;
+        // message id -> { blob, resolve, reject } until the worker answers
+        this.pending = new Map();
+        // timestamp -> running job, so a save and a render do not both generate one
+        this.jobs = new Map();
+        // Images that could not be read this session (expired, not an image); not retried on every render
+        this.failed = new Set();
+        this.queue = Promise.resolve();
+    }
+
+    // Decode, scale down and encode; runs in the worker, or here when workers are unavailable (file://)
+    static async render(blob, maxSize, quality) {
+        const bitmap = await createImageBitmap(blob);
+        const { width, height } = bitmap;
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        const thumbWidth = Math.max(1, Math.round(width * scale));
+        const thumbHeight = Math.max(1, Math.round(height * scale));
+
+        let thumbnail;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const canvas = new OffscreenCanvas(thumbWidth, thumbHeight);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, thumbWidth, thumbHeight);
+            thumbnail = await canvas.convertToBlob({ type: 'image/webp', quality });
+        } else {
+            const canvas = document.createElement('canvas');
+            canvas.width = thumbWidth;
+            canvas.height = thumbHeight;
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, thumbWidth, thumbHeight);
+            thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', quality));
+        }
+        bitmap.close();
+
+        if (!thumbnail) throw new Error('Could not encode thumbnail');
+        return { thumbnail, width, height };
+    }
+
+    getWorker() {
+        if (this.worker || this.workerFailed) return this.worker;
+
+        try {
+            this.worker = new Worker('js/thumbnail-worker.js');
+        } catch (error) {
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.onmessage = (event) => {
+            const { id, error, ...result } = event.data;
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+            if (error) request.reject(new Error(error));
+            else request.resolve(result);
+        };
+        // The script did not load: finish what was sent on the main thread and stay there
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.app.logDebug('Thumbnail worker unavailable, rendering on the main thread', 'warning');
+            this.workerFailed = true;
+            this.worker.terminate();
+            this.worker = null;
+            for (const [id, request] of this.pending) {
+                this.pending.delete(id);
+                FalAIThumbnails.render(request.blob, this.maxSize, this.quality).then(request.resolve, request.reject);
+            }
+        };
+        return this.worker;
+    }
+
+    renderBlob(blob) {
+        const worker = this.getWorker();
+        if (!worker) return FalAIThumbnails.render(blob, this.maxSize, this.quality);
+
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextMessageId;
+            this.pending.set(id, { blob, resolve, reject });
+            worker.postMessage({ id, blob, maxSize: this.maxSize, quality: this.quality });
+        });
+    }
+
+    // Grid image: the thumbnail when there is one, otherwise the full image
+    gridUrl(image) {
+        return image.thumbUrl || this.app.imageCache.displayUrl(image);
+    }
+
+    // Thumbnails live in the blob store, so they need IndexedDB; videos keep their own preview
+    needsThumbnail(image) {
+        return image.type !== 'video' && !image.thumbBlobId && !this.failed.has(image.timestamp)
+            && this.app.storage.hasIndexedDB();
+    }
+
+    // Generate (once) and store the thumbnail; blob is the image itself when the caller already has it.
+    // Resolves true when a thumbnail exists afterwards
+    ensure(image, blob = null) {
+        if (!this.needsThumbnail(image)) return Promise.resolve(!!image.thumbBlobId);
+        if (this.jobs.has(image.timestamp)) return this.jobs.get(image.timestamp);
+
+        // One at a time: the worker is a single thread anyway, and this keeps decoded bitmaps few
+        const job = this.queue.then(() => this.generate(image, blob))
+            .catch(error => {
+                this.failed.add(image.timestamp);
+                this.app.logDebug('Thumbnail generation failed', 'warning', { timestamp: image.timestamp, error: error.message });
+                return false;
+            })
+            .finally(() => this.jobs.delete(image.timestamp));
+        this.queue = job;
+        this.jobs.set(image.timestamp, job);
+        return job;
+    }
+
+    async generate(image, blob) {
+        if (!this.needsThumbnail(image)) return !!image.thumbBlobId;
+        if (!this.app.gallery.savedImages.includes(image)) return false;
+
+        const source = blob || await this.sourceBlob(image);
+        const { thumbnail, width, height } = await this.renderBlob(source);
+
+        // Deleted from the gallery in the meantime
+        if (!this.app.gallery.savedImages.includes(image)) return false;
+
+        const thumbBlobId = `thumb-${image.timestamp}`;
+        await this.app.storage.putBlob(thumbBlobId, thumbnail);
+        // ...or while the thumbnail was being stored
+        if (!this.app.gallery.savedImages.includes(image)) {
+            this.app.storage.deleteBlob(thumbBlobId);
+            return false;
+        }
+        Object.assign(image, { width, height, thumbBlobId, thumbUrl: URL.createObjectURL(thumbnail) });
+        this.app.storage.putImage(image);
+        this.app.gallery.updateRenderedItem(image);
+        return true;
+    }
+
+    // The stored copy when there is one, otherwise the image at its URL (usually still in the HTTP cache)
+    async sourceBlob(image) {
+        const stored = image.blobId ? await this.app.storage.getBlob(image.blobId) : null;
+        if (stored) return stored;
+
+        const response = await fetch(image.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.blob();
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIThumbnails;
+}
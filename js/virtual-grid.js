@@ -0,0 +1,168 @@
+/**
+ * Virtual grid: renders only the rows of a CSS grid that are in or near view, with spacers standing in for the rest.
+ * Rendered elements are kept per item, so an update only creates and removes what actually changed.
+ */
+
+class FalAIVirtualGrid {
+    constructor({ container, scrollElement = container, createItem, updateItem = () => {}, emptyHtml = '', overscanRows = 3, initialCount = 48 } = {}) {
+        this.container = container;
+        this.scrollElement = scrollElement;
+        this.createItem = createItem;
+        this.updateItem = updateItem;
+        this.emptyHtml = emptyHtml;
+        this.overscanRows = overscanRows;
+        // Rendered before the grid can be measured (e.g. while it is hidden)
+        this.initialCount = initialCount;
+        this.items = [];
+        // item -> element, for the items currently in the DOM
+        this.rendered = new Map();
+        // { columns, gap, rowHeight }; rowHeight includes the row gap
+        this.metrics = null;
+        this.lastWidth = 0;
+        this.frame = null;
+
+        this.topSpacer = FalAIVirtualGrid.createSpacer();
+        this.bottomSpacer = FalAIVirtualGrid.createSpacer();
+
+        this.scrollElement.addEventListener('scroll', () => this.schedule(), { passive: true });
+        if (typeof ResizeObserver !== 'undefined') {
+            // Width decides the column count; height changes from rendering itself are ignored
+            new ResizeObserver(() => {
+                if (this.container.clientWidth === this.lastWidth) return;
+                this.lastWidth = this.container.clientWidth;
+                this.metrics = null;
+                this.schedule();
+            }).observe(this.container);
+        }
+    }
+
+    static createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'virtual-grid-spacer';
+        return spacer;
+    }
+
+    setItems(items) {
+        this.items = items;
+        this.render();
+    }
+
+    // Re-run updateItem on what is rendered (selection, likes), without touching the rest
+    refresh() {
+        this.rendered.forEach((element, item) => this.updateItem(element, item));
+    }
+
+    schedule() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+
+    // Column count and row height from the live layout; null while the grid is hidden or empty
+    measure() {
+        const sample = this.rendered.values().next().value;
+        if (!sample || this.container.clientWidth === 0) return null;
+
+        const style = getComputedStyle(this.container);
+        const columns = style.gridTemplateColumns.split(' ').filter(track => track.endsWith('px')).length || 1;
+        const gap = parseFloat(style.rowGap) || 0;
+        const rowHeight = sample.offsetHeight + gap;
+        return rowHeight > gap ? { columns, gap, rowHeight } : null;
+    }
+
+    // How far the top of the grid is scrolled past the top of the scroll area
+    scrollOffset() {
+        if (this.scrollElement === this.container) return this.scrollElement.scrollTop;
+        return this.scrollElement.getBoundingClientRect().top - this.container.getBoundingClientRect().top;
+    }
+
+    render() {
+        if (this.items.length === 0) {
+            this.rendered.clear();
+            this.container.innerHTML = typeof this.emptyHtml === 'function' ? this.emptyHtml() : this.emptyHtml;
+            return;
+        }
+        if (this.topSpacer.parentNode !== this.container) {
+            this.rendered.clear();
+            this.container.innerHTML = '';
+            this.container.append(this.topSpacer, this.bottomSpacer);
+        }
+
+        if (!this.metrics) {
+            // Render a first screenful, then measure it
+            if (this.rendered.size === 0) this.renderRange(0, Math.min(this.items.length, this.initialCount) - 1);
+            this.metrics = this.measure();
+            if (!this.metrics) {
+                this.renderRange(0, Math.min(this.items.length, Math.max(this.rendered.size, this.initialCount)) - 1);
+                return;
+            }
+        }
+
+        const { columns, rowHeight } = this.metrics;
+        const totalRows = Math.ceil(this.items.length / columns);
+        const offset = Math.max(0, this.scrollOffset());
+        const viewport = this.scrollElement.clientHeight || window.innerHeight;
+        const firstRow = Math.min(totalRows - 1, Math.max(0, Math.floor(offset / rowHeight) - this.overscanRows));
+        const lastRow = Math.min(totalRows - 1, Math.ceil((offset + viewport) / rowHeight) + this.overscanRows);
+
+        this.renderRange(firstRow * columns, Math.min(this.items.length, (lastRow + 1) * columns) - 1);
+        this.sizeSpacer(this.topSpacer, firstRow);
+        this.sizeSpacer(this.bottomSpacer, totalRows - lastRow - 1);
+    }
+
+    // A spacer fills whole rows; it takes a row gap of its own, so that much is left off its height
+    sizeSpacer(spacer, rows) {
+        spacer.classList.toggle('hidden', rows <= 0);
+        spacer.style.height = rows > 0 ? `${rows * this.metrics.rowHeight - this.metrics.gap}px` : '';
+    }
+
+    // Put items first..last between the spacers, reusing rendered elements and moving only what is out of place
+    renderRange(first, last) {
+        const wanted = this.items.slice(first, last + 1);
+        const keep = new Set(wanted);
+        for (const [item, element] of this.rendered) {
+            if (!keep.has(item)) {
+                element.remove();
+                this.rendered.delete(item);
+            }
+        }
+
+        let cursor = this.topSpacer.nextSibling;
+        for (const item of wanted) {
+            let element = this.rendered.get(item);
+            if (!element) {
+                element = this.createItem(item);
+                this.rendered.set(item, element);
+            }
+            this.updateItem(element, item);
+
+            if (element === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                this.container.insertBefore(element, cursor);
+            }
+        }
+    }
+
+    // Scroll so the item at index is rendered and in view (e.g. the last PhotoSwipe slide on close)
+    scrollToIndex(index) {
+        if (index < 0 || index >= this.items.length) return;
+        this.metrics = this.metrics || this.measure();
+        if (!this.metrics) return;
+
+        const top = Math.floor(index / this.metrics.columns) * this.metrics.rowHeight;
+        const offset = this.scrollOffset();
+        const viewport = this.scrollElement.clientHeight || window.innerHeight;
+        if (top < offset || top + this.metrics.rowHeight > offset + viewport) {
+            this.scrollElement.scrollTop += top - offset - (viewport - this.metrics.rowHeight) / 2;
+        }
+        this.render();
+    }
+}
+
+// Export for use in main app
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FalAIVirtualGrid;
+}
@@ -1,8 +1,31 @@
-const CACHE_NAME = 'falai-v1';
+const CACHE_NAME = 'falai-v2';
 const urlsToCache = [
     './',
     './index.html',
     './js/app.js',
+    './js/jobs.js',
+    './js/queue-stream.js',
+    './js/api-errors.js',
+    './js/schema-validator.js',
+    './js/batch-runner.js',
+    './js/batch.js',
+    './js/prompt-list.js',
+    './js/prompt-template.js',
+    './js/prompt-history.js',
+    './js/presets.js',
+    './js/deep-link.js',
+    './js/pricing.js',
+    './js/key-vault.js',
+    './js/key-profiles.js',
+    './js/proxy.js',
+    './js/storage-upload.js',
+    './js/storage.js',
+    './js/image-cache.js',
+    './js/thumbnails.js',
+    './js/thumbnail-worker.js',
+    './js/virtual-grid.js',
+    './js/gallery-filter.js',
+    './js/gallery-collections.js',
     './css/styles.css',
     './css/gallery.css',
     './manifest.json'
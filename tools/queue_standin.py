@@ -0,0 +1,355 @@
+#!/usr/bin/env python3
+"""
+Local mock of the fal queue API, for running the whole generate -> poll -> results flow
+offline and without spending credits.
+
+    python3 tools/queue_standin.py [--port 8001] [--no-stream] [--steps 5] [--queue 2]
+                                   [--fail-rate 0.0] [--submit-fail-rate 0.0]
+
+Point the app at it with Proxy -> "Replace the fal.ai host" -> http://localhost:8001 and tick
+"Don't send the API key". Serves, for any endpoint path:
+    POST /{endpoint}                                 submit; answers like the fal queue
+    GET  /{endpoint}/requests/{id}/status/stream     server-sent QueueStatus events, closes on COMPLETED
+    GET  /{endpoint}/requests/{id}/status            current QueueStatus as JSON
+    GET  /{endpoint}/requests/{id}                   result with placeholder images at the requested image_size
+    PUT  /{endpoint}/requests/{id}/cancel            cancel
+    GET  /mock/images/{id}-{n}.png?width=&height=    the placeholder images
+    POST /storage/upload/initiate                    storage upload; the file is PUT to and served from /mock/uploads/{id}
+The bare /requests/{id}/... paths work too. Requests sent in the x-fal-target-url header style are
+routed by the header's path.
+
+A request waits --queue seconds IN_QUEUE, then runs IN_PROGRESS until --steps seconds with one log
+line and progress update per second. Failures can be injected at random (--fail-rate fails the
+result, --submit-fail-rate answers the submit with a retryable 503) or per prompt:
+    [mock:fail]  the request ends with a server error      [mock:422]  the submit fails validation
+    [mock:429]   the submit is rate limited                 [mock:401]  the key is rejected
+"""
+
+import argparse
+import json
+import random
+import struct
+import time
+import uuid
+import zlib
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.parse import parse_qs, urlparse
+
+requests = {}
+uploads = {}
+options = None
+
+# fal's image_size presets
+PRESET_SIZES = {
+    'square_hd': (1024, 1024),
+    'square': (512, 512),
+    'portrait_4_3': (768, 1024),
+    'portrait_16_9': (576, 1024),
+    'landscape_4_3': (1024, 768),
+    'landscape_16_9': (1024, 576),
+}
+MAX_SIDE = 4096
+
+
+def image_size(payload):
+    size = payload.get('image_size')
+    if isinstance(size, dict):
+        try:
+            width, height = int(size.get('width')), int(size.get('height'))
+        except (TypeError, ValueError):
+            width, height = PRESET_SIZES['landscape_4_3']
+    else:
+        width, height = PRESET_SIZES.get(size, PRESET_SIZES['landscape_4_3'])
+    return max(1, min(width, MAX_SIDE)), max(1, min(height, MAX_SIDE))
+
+
+def placeholder_png(width, height, seed):
+    """Vertical gradient between two colours picked from the seed; rows compress to almost nothing."""
+    rng = random.Random(seed)
+    top = [rng.randrange(40, 216) for _ in range(3)]
+    bottom = [rng.randrange(40, 216) for _ in range(3)]
+
+    rows = []
+    for y in range(height):
+        t = y / max(height - 1, 1)
+        pixel = bytes(round(a + (b - a) * t) for a, b in zip(top, bottom))
+        rows.append(b'\x00' + pixel * width)
+
+    def chunk(kind, data):
+        return struct.pack('>I', len(data)) + kind + data + struct.pack('>I', zlib.crc32(kind + data) & 0xffffffff)
+
+    header = struct.pack('>IIBBBBB', width, height, 8, 2, 0, 0, 0)
+    return (b'\x89PNG\r\n\x1a\n' + chunk(b'IHDR', header)
+            + chunk(b'IDAT', zlib.compress(b''.join(rows), 6)) + chunk(b'IEND', b''))
+
+
+def directive(payload):
+    """The [mock:...] failure named in the prompt, if any."""
+    prompt = str(payload.get('prompt') or '')
+    for name in ('fail', '422', '429', '401'):
+        if f'[mock:{name}]' in prompt:
+            return name
+    return None
+
+
+def new_request(endpoint, payload):
+    request_id = str(uuid.uuid4())
+    fails = directive(payload) == 'fail' or random.random() < options.fail_rate
+    requests[request_id] = {
+        'endpoint': endpoint,
+        'payload': payload,
+        'created': time.time(),
+        'cancelled': False,
+        'fails': fails,
+        'seed': payload.get('seed') if isinstance(payload.get('seed'), int) else random.randrange(2 ** 31),
+    }
+    return request_id
+
+
+def get_request(request_id):
+    # Unknown ids (e.g. typed into the console) start their clock the first time they are seen
+    return requests.setdefault(request_id, {
+        'endpoint': '', 'payload': {}, 'created': time.time(), 'cancelled': False, 'fails': False, 'seed': 42,
+    })
+
+
+def queue_status(base, request_id):
+    request = get_request(request_id)
+    step = int(time.time() - request['created'])
+    # Same shape as the real queue: {base}/{endpoint}/requests/{id}
+    url = f"{base}/{request['endpoint']}".rstrip('/') + f'/requests/{request_id}'
+    status = {
+        'request_id': request_id,
+        'status_url': f'{url}/status',
+        'response_url': url,
+        'cancel_url': f'{url}/cancel',
+        'logs': [{'message': f'step {i + 1}/{options.steps - options.queue}', 'level': 'INFO', 'source': 'user',
+                  'timestamp': request['created'] + options.queue + i}
+                 for i in range(max(0, min(step, options.steps) - options.queue))],
+    }
+
+    if request['cancelled'] or step >= options.steps:
+        status.update(status='COMPLETED', metrics={'inference_time': options.steps - options.queue})
+    elif step < options.queue:
+        status.update(status='IN_QUEUE', queue_position=options.queue - 1 - step)
+    else:
+        running = options.steps - options.queue
+        status.update(status='IN_PROGRESS', percentage=round(100 * (step - options.queue) / running))
+    return status
+
+
+def result(base, request_id):
+    request = get_request(request_id)
+    payload = request['payload']
+    width, height = image_size(payload)
+    try:
+        count = max(1, min(int(payload.get('num_images', 1)), 8))
+    except (TypeError, ValueError):
+        count = 1
+
+    images = [{
+        'url': f"{base}/mock/images/{request_id}-{n}.png?width={width}&height={height}&seed={request['seed'] + n}",
+        'width': width,
+        'height': height,
+        'content_type': 'image/png',
+    } for n in range(count)]
+
+    return {
+        'images': images,
+        'seed': request['seed'],
+        'prompt': payload.get('prompt', ''),
+        'has_nsfw_concepts': [False] * count,
+        'timings': {'inference': options.steps - options.queue},
+    }
+
+
+class Handler(BaseHTTPRequestHandler):
+    def send_cors_headers(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, x-fal-target-url')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+
+    def send_json(self, data, code=200, headers=None):
+        body = json.dumps(data).encode()
+        self.send_response(code)
+        self.send_cors_headers()
+        for name, value in (headers or {}).items():
+            self.send_header(name, value)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    @property
+    def base(self):
+        return f"http://{self.headers.get('Host') or f'localhost:{options.port}'}"
+
+    def route(self):
+        """(path parts, query) of the request, taking the x-fal-target-url header into account."""
+        url = urlparse(self.headers.get('x-fal-target-url') or self.path)
+        return [part for part in url.path.split('/') if part], parse_qs(url.query)
+
+    def split_request_path(self, parts):
+        """(request id, rest) for .../requests/{id}/..., or (None, None)."""
+        if 'requests' in parts:
+            index = parts.index('requests')
+            if index + 1 < len(parts):
+                return parts[index + 1], parts[index + 2:]
+        return None, None
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_POST(self):
+        parts, _ = self.route()
+        length = int(self.headers.get('Content-Length') or 0)
+        try:
+            payload = json.loads(self.rfile.read(length) or b'{}')
+        except json.JSONDecodeError:
+            return self.send_json({'detail': 'Body is not valid JSON'}, 400)
+
+        if parts == ['storage', 'upload', 'initiate']:
+            return self.initiate_upload(payload)
+
+        failure = directive(payload)
+        if failure == '422':
+            return self.send_json({'detail': [{'loc': ['body', 'prompt'], 'msg': 'Mock validation error',
+                                               'type': 'value_error'}]}, 422)
+        if failure == '429':
+            return self.send_json({'detail': 'Mock rate limit'}, 429, {'Retry-After': '2'})
+        if failure == '401':
+            return self.send_json({'detail': 'Mock: invalid key'}, 401)
+        if random.random() < options.submit_fail_rate:
+            # Retry-After marks the submit as turned away, which is what makes a paid submit safe to retry
+            return self.send_json({'detail': 'Mock: service unavailable'}, 503, {'Retry-After': '1'})
+
+        request_id = new_request('/'.join(parts), payload)
+        status = queue_status(self.base, request_id)
+        self.send_json({key: status[key] for key in
+                        ('request_id', 'status_url', 'response_url', 'cancel_url', 'status', 'queue_position')
+                        if key in status})
+
+    def initiate_upload(self, payload):
+        upload_id = f"{uuid.uuid4().hex}-{payload.get('file_name') or 'upload'}"
+        uploads[upload_id] = None
+        url = f'{self.base}/mock/uploads/{upload_id}'
+        self.send_json({'upload_url': url, 'file_url': url})
+
+    def do_PUT(self):
+        parts, _ = self.route()
+        if parts[:2] == ['mock', 'uploads'] and len(parts) == 3:
+            if parts[2] not in uploads:
+                return self.send_json({'detail': 'Upload was not initiated'}, 404)
+            length = int(self.headers.get('Content-Length') or 0)
+            uploads[parts[2]] = (self.headers.get('Content-Type') or 'application/octet-stream', self.rfile.read(length))
+            return self.send_json({})
+
+        request_id, rest = self.split_request_path(parts)
+        if request_id is None or rest != ['cancel']:
+            return self.send_json({'detail': 'Not found'}, 404)
+
+        request = get_request(request_id)
+        if queue_status(self.base, request_id)['status'] == 'COMPLETED':
+            return self.send_json({'status': 'ALREADY_COMPLETED'}, 400)
+        request['cancelled'] = True
+        self.send_json({'status': 'CANCELLATION_REQUESTED'}, 202)
+
+    def do_GET(self):
+        parts, query = self.route()
+
+        if parts[:2] == ['mock', 'images'] and len(parts) == 3:
+            return self.send_image(query)
+        if parts[:2] == ['mock', 'uploads'] and len(parts) == 3:
+            return self.send_upload(parts[2])
+
+        request_id, rest = self.split_request_path(parts)
+        if request_id is None:
+            return self.send_json({'detail': 'Not found'}, 404)
+
+        if rest == ['status', 'stream']:
+            if options.no_stream:
+                return self.send_json({'detail': 'Not found'}, 404)
+            return self.stream_status(request_id)
+        if rest == ['status']:
+            return self.send_json(queue_status(self.base, request_id))
+        if rest == []:
+            request = get_request(request_id)
+            if queue_status(self.base, request_id)['status'] != 'COMPLETED':
+                return self.send_json({'detail': 'Request is still in progress'}, 400)
+            if request['cancelled']:
+                return self.send_json({'detail': 'Request was cancelled'}, 400)
+            if request['fails']:
+                return self.send_json({'detail': 'Mock: the model failed to generate an image'}, 500)
+            return self.send_json(result(self.base, request_id))
+        return self.send_json({'detail': 'Not found'}, 404)
+
+    def send_image(self, query):
+        def number(name, default):
+            try:
+                return int(query.get(name, [default])[0])
+            except ValueError:
+                return default
+
+        width = max(1, min(number('width', 512), MAX_SIDE))
+        height = max(1, min(number('height', 512), MAX_SIDE))
+        body = placeholder_png(width, height, number('seed', 42))
+
+        self.send_response(200)
+        self.send_cors_headers()
+        self.send_header('Content-Type', 'image/png')
+        self.send_header('Content-Length', str(len(body)))
+        self.send_header('Cache-Control', 'max-age=86400')
+        self.end_headers()
+        self.wfile.write(body)
+
+    def send_upload(self, upload_id):
+        if not uploads.get(upload_id):
+            return self.send_json({'detail': 'Not found'}, 404)
+        content_type, body = uploads[upload_id]
+
+        self.send_response(200)
+        self.send_cors_headers()
+        self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
+    def stream_status(self, request_id):
+        self.send_response(200)
+        self.send_cors_headers()
+        self.send_header('Content-Type', 'text/event-stream')
+        self.send_header('Cache-Control', 'no-cache')
+        self.end_headers()
+
+        try:
+            while True:
+                status = queue_status(self.base, request_id)
+                self.wfile.write(f'data: {json.dumps(status)}\n\n'.encode())
+                self.wfile.flush()
+                if status['status'] == 'COMPLETED':
+                    break
+                time.sleep(0.5)
+        except (BrokenPipeError, ConnectionResetError):
+            pass
+        self.close_connection = True
+
+    def log_message(self, format, *args):
+        print('[standin]', format % args)
+
+
+if __name__ == '__main__':
+    parser = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    parser.add_argument('--port', type=int, default=8001)
+    parser.add_argument('--no-stream', action='store_true', help='answer 404 on /status/stream to test the polling fallback')
+    parser.add_argument('--steps', type=int, default=5, help='seconds until a request completes')
+    parser.add_argument('--queue', type=int, default=2, help='seconds a request waits IN_QUEUE')
+    parser.add_argument('--fail-rate', type=float, default=0.0, help='share of requests whose result is a server error')
+    parser.add_argument('--submit-fail-rate', type=float, default=0.0,
+                        help='share of submits answered with a retryable 503')
+    options = parser.parse_args()
+    options.queue = max(0, min(options.queue, options.steps - 1))
+
+    print(f'Queue stand-in on http://localhost:{options.port}')
+    ThreadingHTTPServer(('', options.port), Handler).serve_forever()